@@ -0,0 +1,263 @@
+'use strict'
+const crypto = require('crypto')
+
+const { deliveryPriority } = require('../pub/consts')
+const IApexStore = require('../store/interface')
+
+const maxTimeout = Math.pow(2, 31) - 1
+// cap on actors excluded from claims while taking round-robin turns
+const maxRoundSize = 100
+
+/**
+ * Processes the store's delivery queue for one apex instance.
+ * Deliveries are leased from the store rather than removed, so multiple
+ * workers (in one or several processes) can share a queue, and deliveries
+ * held by a worker that exits unexpectedly become available again once
+ * their lease (visibilityTimeout) expires.
+ * Deliveries are sent in parallel up to a global limit and a per-host limit,
+ * taking turns between actors with queued deliveries. Bulk deliveries (collection
+ * updates) are only claimed when no interactive deliveries are due and are limited
+ * to part of the concurrency so interactive deliveries always have capacity.
+ */
+class DeliveryWorker {
+  /**
+   * @param  {object} apex - apex instance whose store and runDelivery are used
+   * @param  {object} [options]
+   * @param  {number} [options.concurrency] - max deliveries in progress at once (default 10)
+   * @param  {number} [options.hostConcurrency] - max deliveries in progress to one host (default 2)
+   * @param  {number} [options.bulkConcurrency] - max bulk deliveries in progress (default half of concurrency)
+   * @param  {number} [options.visibilityTimeout] - ms a claimed delivery is hidden from other workers.
+   *   Should be longer than requestTimeout (default 5 minutes)
+   * @param  {number} [options.pollInterval] - ms between checks for deliveries queued by other workers (default 5 seconds)
+   * @param  {number} [options.unreachableAfter] - ms of failed deliveries before a host is considered unreachable
+   *   and its deliveries are paused (default 1 day)
+   * @param  {number} [options.probeInterval] - ms between delivery attempts to unreachable hosts (default 1 hour)
+   * @param  {number} [options.pruneFollowersAfter] - ms a host can be unreachable before followers on it are
+   *   removed (default never)
+   * @param  {number} [options.maxRetries] - retries before a delivery is moved to dead letters (default 11)
+   * @param  {function} [options.backoff] - ms to wait before retry, given the number of previous attempts
+   *   (default 10^attempts, ~5 months over 11 retries)
+   * @param  {number} [options.jitter] - randomly extend backoff by up to this fraction (default 0)
+   * @param  {number} [options.maxAge] - ms after queueing to stop retrying a delivery (default no limit)
+   * @param  {number[]} [options.retryStatuses] - 4xx response statuses to retry (default 401, 408, 425, 429).
+   *   Other 4xx are permanent failures, 5xx and network errors are always retried
+   */
+  constructor (apex, options = {}) {
+    this.apex = apex
+    this.id = crypto.randomUUID()
+    this.concurrency = options.concurrency || 10
+    this.hostConcurrency = options.hostConcurrency || 2
+    this.bulkConcurrency = options.bulkConcurrency || Math.max(Math.floor(this.concurrency / 2), 1)
+    this.visibilityTimeout = options.visibilityTimeout || 5 * 60 * 1000
+    this.pollInterval = options.pollInterval || 5000
+    this.unreachableAfter = options.unreachableAfter ?? 24 * 60 * 60 * 1000
+    this.probeInterval = options.probeInterval || 60 * 60 * 1000
+    this.pruneFollowersAfter = options.pruneFollowersAfter
+    this.maxRetries = options.maxRetries ?? 11
+    this.backoff = options.backoff || (attempt => Math.pow(10, attempt))
+    this.jitter = options.jitter || 0
+    this.maxAge = options.maxAge
+    this.retryStatuses = options.retryStatuses || [401, 408, 425, 429]
+    // idle (not yet started), running, stopping, or stopped
+    this.state = 'idle'
+    this.active = new Set()
+    // in-progress counts for per-host and bulk limits
+    this.activeHosts = new Map()
+    this.activeBulk = 0
+    // actors that have had a turn in the current round-robin pass
+    this.round = new Set()
+    this.claiming = null
+    this.reclaim = false
+    this.timer = null
+  }
+
+  get running () {
+    return this.state === 'running'
+  }
+
+  /**
+   * Begin processing the queue and polling for new deliveries
+   * @returns {Promise} resolves when the first batch of claimed deliveries is finished
+   */
+  start () {
+    if (this.state === 'stopping') {
+      return Promise.reject(new Error('Delivery worker is stopping'))
+    }
+    this.state = 'running'
+    return this.wake()
+  }
+
+  /**
+   * Stop claiming new deliveries and wait for those in progress to finish
+   * @returns {Promise}
+   */
+  async stop () {
+    if (this.state !== 'running') {
+      this.state = 'stopped'
+      return
+    }
+    this.state = 'stopping'
+    clearTimeout(this.timer)
+    await this.claiming
+    await Promise.allSettled(this.active)
+    this.state = 'stopped'
+  }
+
+  /**
+   * Check the queue for deliveries now, starting the worker if it has not been started.
+   * Does nothing if the worker has been stopped. Rejects if the store does not support claiming deliveries
+   * @returns {Promise} resolves when the deliveries claimed by this check are finished
+   */
+  wake () {
+    const claim = this.apex.store.deliveryClaim
+    if (typeof claim !== 'function' || claim === IApexStore.prototype.deliveryClaim) {
+      // stores written for the older queue api only have deliveryDequeue
+      return Promise.reject(new Error('Store does not implement deliveryClaim. Stores must implement deliveryClaim, ' +
+        'deliveryComplete, deliveryRequeue, and deliveryFail in place of deliveryDequeue'))
+    }
+    if (this.state === 'idle') {
+      this.state = 'running'
+    }
+    if (!this.running) {
+      return Promise.resolve()
+    }
+    if (this.claiming) {
+      // claim loop in progress, make sure it checks again before exiting
+      this.reclaim = true
+      return this.claiming.then(() => {})
+    }
+    this.claiming = this.claim()
+      .finally(() => { this.claiming = null })
+    return this.claiming
+      .then(started => Promise.allSettled(started))
+      .then(() => {})
+  }
+
+  /**
+   * Whether a failed delivery's response status is worth retrying
+   * @param  {number} statusCode
+   * @returns {boolean}
+   */
+  isTransient (statusCode) {
+    return statusCode >= 500 || this.retryStatuses.includes(statusCode)
+  }
+
+  /**
+   * When to retry a failed delivery according to the retry policy
+   * @param  {object} delivery
+   * @param  {Date} [retryAfter] - earliest retry time requested by the receiving server
+   * @returns {Date} retry time, or null if the delivery should not be retried
+   */
+  retryTime (delivery, retryAfter) {
+    if (delivery.attempt >= this.maxRetries) {
+      return null
+    }
+    let delay = this.backoff(delivery.attempt)
+    delay += delay * this.jitter * Math.random()
+    const retryAt = new Date(Math.max(Date.now() + delay, retryAfter ?? 0))
+    if (this.maxAge && delivery.queuedAt && retryAt - delivery.queuedAt > this.maxAge) {
+      return null
+    }
+    return retryAt
+  }
+
+  // class methods
+  async claim () {
+    const started = []
+    do {
+      this.reclaim = false
+      while (this.running && !this.apex.offlineMode && this.active.size < this.concurrency) {
+        const options = this.claimOptions()
+        let delivery
+        try {
+          delivery = await this.apex.store.deliveryClaim(this.id, this.visibilityTimeout, options)
+          if (isEmpty(delivery) && options.excludeActors.length) {
+            // every actor with due deliveries has had a turn, start next round
+            this.round.clear()
+            options.excludeActors = []
+            delivery = await this.apex.store.deliveryClaim(this.id, this.visibilityTimeout, options)
+          }
+        } catch (err) {
+          this.apex.logger.error('Failed to claim delivery', err.message)
+        }
+        if (isEmpty(delivery)) {
+          const limited = options.excludeHosts.length || options.maxPriority !== undefined
+          // deliveries held back by limits are picked up when in-progress deliveries finish
+          const waitUntil = limited && delivery?.waitUntil <= new Date() ? null : delivery?.waitUntil
+          this.schedule(waitUntil)
+          break
+        }
+        if (this.round.size >= maxRoundSize) {
+          this.round.clear()
+        }
+        this.round.add(delivery.actorId)
+        started.push(this.process(delivery))
+      }
+    } while (this.reclaim && this.running)
+    return started
+  }
+
+  claimOptions () {
+    const options = {
+      excludeHosts: [],
+      excludeActors: Array.from(this.round)
+    }
+    for (const [host, count] of this.activeHosts) {
+      if (count >= this.hostConcurrency) {
+        options.excludeHosts.push(host)
+      }
+    }
+    if (this.activeBulk >= this.bulkConcurrency) {
+      options.maxPriority = deliveryPriority.interactive
+    }
+    return options
+  }
+
+  process (delivery) {
+    const host = delivery.host ?? new URL(delivery.address).host
+    const isBulk = delivery.priority > deliveryPriority.interactive
+    this.activeHosts.set(host, (this.activeHosts.get(host) ?? 0) + 1)
+    if (isBulk) {
+      this.activeBulk++
+    }
+    const task = Promise.resolve()
+      .then(() => this.apex.runDelivery(delivery))
+      .catch(err => {
+        this.apex.logger.error('Delivery worker error', err.message)
+      })
+      .finally(() => {
+        this.active.delete(task)
+        const count = this.activeHosts.get(host) - 1
+        if (count) {
+          this.activeHosts.set(host, count)
+        } else {
+          this.activeHosts.delete(host)
+        }
+        if (isBulk) {
+          this.activeBulk--
+        }
+        this.wake()
+      })
+    this.active.add(task)
+    return task
+  }
+
+  schedule (waitUntil) {
+    if (!this.running) return
+    let wait = this.pollInterval
+    if (waitUntil) {
+      wait = Math.max(Math.min(waitUntil.getTime() - Date.now(), wait), 0)
+    }
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.wake(), Math.min(wait, maxTimeout))
+    // polling alone shouldn't keep the process alive
+    this.timer.unref?.()
+  }
+}
+
+// claim found nothing to deliver now
+function isEmpty (delivery) {
+  return !delivery || !!delivery.waitUntil
+}
+
+module.exports = DeliveryWorker
@@ -1,12 +1,20 @@
 'use strict'
+const EventEmitter = require('events')
 const onFinished = require('on-finished')
 const pub = require('./pub')
 const net = require('./net')
 const ApexStore = require('./store')
+const DeliveryWorker = require('./delivery')
+const { createRequestGuard } = require('./pub/request-guard')
+const { createRateLimiter } = require('./pub/rate-limiter')
 
 module.exports = function (settings) {
   const apex = function (req, res, next) {
     req.app.locals.apex = apex // apex api object
+    if (!apex.app) {
+      // app for events not tied to a request, which are also emitted on apex.events
+      apex.app = req.app
+    }
     res.locals.apex = {
       eventName: null,
       eventMessage: {},
@@ -37,6 +45,8 @@ module.exports = function (settings) {
     ? pub.consts.ASContext.concat(settings.context)
     : pub.consts.ASContext
   apex.net = net
+  // events not tied to a request, e.g. delivery, available before the first request
+  apex.events = new EventEmitter()
   apex.store = settings.store || new ApexStore()
   apex.actorParam = settings.actorParam
   apex.objectParam = settings.objectParam
@@ -49,6 +59,18 @@ module.exports = function (settings) {
   apex.logger = settings.logger || console
   apex.offlineMode = settings.offlineMode
   apex.requestTimeout = settings.requestTimeout ?? 5000
+  apex.allowedPrivateAddresses = settings.allowedPrivateAddresses ?? []
+  apex.requestGuard = createRequestGuard(apex)
+  apex.maxClockSkew = settings.signatures?.maxClockSkew ?? 3600000
+  apex.signatureReplayCache = !!settings.signatures?.replayCache
+  apex.federationMode = settings.federationMode ?? 'open'
+  apex.authorizedFetch = !!settings.authorizedFetch
+  apex.proxyRateLimit = settings.proxy?.rateLimit ?? 60
+  apex.proxyRateWindow = settings.proxy?.rateWindow ?? 60000
+  apex.proxyCacheTtl = settings.proxy?.cacheTtl ?? 300000
+  apex.proxyMaxCacheTtl = settings.proxy?.maxCacheTtl ?? 86400000
+  apex.proxyRateLimiter = createRateLimiter(() => ({ limit: apex.proxyRateLimit, window: apex.proxyRateWindow }))
+  apex.delivery = new DeliveryWorker(apex, settings.delivery)
   apex.utils = {
     usernameToIRI: apex.idToIRIFactory(apex.baseUrl, settings.routes.actor, apex.actorParam),
     objectIdToIRI: apex.idToIRIFactory(apex.baseUrl, settings.routes.object, apex.objectParam),
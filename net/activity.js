@@ -1,4 +1,5 @@
 'use strict'
+const validators = require('./validators')
 
 // For collection display, store with objects resolved
 // updates also get their objects denormalized during validation
@@ -25,9 +26,7 @@ module.exports = {
     apex.store.saveActivity(activity).then(saveResult => {
       resLocal.isNewActivity = !!saveResult
       if (!saveResult) {
-        const newTarget = activity._meta.collection[0]
-        return apex.store
-          .updateActivityMeta(activity, 'collection', newTarget)
+        return addCollections(apex, activity)
       }
     }).then(updated => {
       if (updated) {
@@ -63,8 +62,12 @@ module.exports = {
       */
       .filter(addr => ['followers', 'collections'].includes(apex.utils.iriToCollectionInfo(addr)?.name))
     if (audience.length) {
+      // forward as received so that embedded signatures remain valid
+      const received = req.rawBody ?? resLocal.originalBody
       resLocal.postWork
-        .push(() => apex.publishActivity(resLocal.target, activity, audience))
+        .push(() => received
+          ? apex.forwardActivity(resLocal.target, activity, received, audience)
+          : apex.publishActivity(resLocal.target, activity, audience))
     }
     next()
   },
@@ -303,6 +306,76 @@ module.exports = {
       next()
     }).catch(next)
   },
+  // process an activity posted to the shared inbox as if delivered to each recipient's inbox
+  async sharedInboxFanOut (req, res, next) {
+    const apex = req.app.locals.apex
+    const resLocal = res.locals.apex
+    if (!resLocal.recipients) {
+      return next()
+    }
+    const { save, resolveThread, inboxSideEffects, forwardFromInbox } = module.exports
+    // the first recipient saves the activity, others add their inbox to the saved copy
+    const inboxChain = [
+      validators.actor,
+      validators.inboxActivity,
+      save,
+      resolveThread,
+      inboxSideEffects,
+      forwardFromInbox
+    ]
+    let saved = false
+    let accepted = !resLocal.recipients.length
+    let rejected
+    let error
+    for (const recipient of resLocal.recipients) {
+      const recipientLocal = {
+        eventName: null,
+        eventMessage: {},
+        postWork: [],
+        sender: resLocal.sender,
+        ldSigner: resLocal.ldSigner,
+        object: resLocal.object,
+        target: recipient
+      }
+      const recipientReq = Object.create(req, { body: { value: { ...req.body }, writable: true } })
+      const recipientRes = Object.create(res, { locals: { value: { ...res.locals, apex: recipientLocal } } })
+      try {
+        const blocked = await apex.getBlocked(recipient, Infinity, true)
+        recipient._local = { blockList: blocked.orderedItems }
+        for (const middleware of inboxChain) {
+          await new Promise((resolve, reject) => {
+            const step = middleware === save && saved ? addToInbox : middleware
+            step(recipientReq, recipientRes, err => err ? reject(err) : resolve())
+          })
+        }
+        saved = saved || recipientLocal.isNewActivity !== undefined
+      } catch (err) {
+        apex.logger.error(`Shared inbox delivery to ${recipient.id} failed`, err.message)
+        error = error ?? err
+        continue
+      }
+      if (recipientLocal.status === 200) {
+        accepted = true
+      } else {
+        rejected = rejected ?? recipientLocal
+      }
+      resLocal.postWork.push(...recipientLocal.postWork)
+      if (recipientLocal.eventName) {
+        resLocal.postWork.push(() => {
+          req.app.emit(recipientLocal.eventName, recipientLocal.eventMessage)
+        })
+      }
+    }
+    if (accepted) {
+      resLocal.status = 200
+    } else if (rejected) {
+      resLocal.status = rejected.status
+      resLocal.statusMessage = rejected.statusMessage
+    } else {
+      return next(error)
+    }
+    next()
+  },
   resolveThread (req, res, next) {
     const apex = req.app.locals.apex
     const resLocal = res.locals.apex
@@ -315,3 +388,26 @@ module.exports = {
     }).catch(next)
   }
 }
+
+// add a shared inbox recipient's inbox to an activity already saved for another recipient
+function addToInbox (req, res, next) {
+  const apex = req.app.locals.apex
+  const resLocal = res.locals.apex
+  if (!resLocal.activity || !resLocal.target) {
+    return next()
+  }
+  addCollections(apex, req.body).then(updated => {
+    req.body = updated
+    resLocal.isNewActivity = 'new collection'
+    next()
+  }).catch(next)
+}
+
+// add an already saved activity to the collections of a new copy
+async function addCollections (apex, activity) {
+  let updated
+  for (const collection of activity._meta.collection) {
+    updated = await apex.store.updateActivityMeta(activity, 'collection', collection)
+  }
+  return updated
+}
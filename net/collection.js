@@ -3,6 +3,7 @@ module.exports = {
   blocked,
   inbox,
   outbox,
+  sharedInbox,
   followers,
   following,
   liked,
@@ -50,11 +51,38 @@ function inbox (req, res, next) {
   })
 }
 
+async function sharedInbox (req, res, next) {
+  const apex = req.app.locals.apex
+  const locals = res.locals.apex
+  if (!apex.settings.endpoints?.sharedInbox) return next()
+  let viewer
+  try {
+    if (locals.authorizedUserId) {
+      viewer = await apex.store.getObject(locals.authorizedUserId)
+    }
+    if (viewer) {
+      const blocked = await apex.getBlocked(viewer, Infinity, true)
+      viewer._local = { blockList: blocked.orderedItems }
+    }
+    locals.result = await apex.getSharedInbox(req.query.page, viewer)
+    next()
+  } catch (err) {
+    if (err.message === 'ApexStore: invalid page value') {
+      locals.status = 400
+      locals.statusMessage = 'invalid page value'
+      apex.logger.info('Invalid collection page request: ', req.originalUrl)
+      next()
+    } else {
+      next(err)
+    }
+  }
+}
+
 function outbox (req, res, next) {
   const apex = req.app.locals.apex
   const locals = res.locals.apex
   if (!locals.target) return next()
-  apex.getOutbox(locals.target, req.query.page, locals.authorized).then(col => {
+  apex.getOutbox(locals.target, req.query.page, locals.authorized, locals.requesterId).then(col => {
     locals.result = col
     next()
   }).catch(err => {
@@ -111,7 +139,7 @@ function liked (req, res, next) {
   const apex = req.app.locals.apex
   const locals = res.locals.apex
   if (!locals.target) return next()
-  apex.getLiked(locals.target, req.query.page, locals.authorized).then(col => {
+  apex.getLiked(locals.target, req.query.page, locals.authorized, locals.requesterId).then(col => {
     locals.result = col
     next()
   }).catch(err => {
@@ -130,7 +158,7 @@ function shares (req, res, next) {
   const apex = req.app.locals.apex
   const locals = res.locals.apex
   if (!locals.target) return next()
-  apex.getShares(locals.target, req.query.page, locals.authorized).then(col => {
+  apex.getShares(locals.target, req.query.page, locals.authorized, locals.requesterId).then(col => {
     locals.result = col
     next()
   }).catch(err => {
@@ -149,7 +177,7 @@ function likes (req, res, next) {
   const apex = req.app.locals.apex
   const locals = res.locals.apex
   if (!locals.target) return next()
-  apex.getLikes(locals.target, req.query.page, locals.authorized).then(col => {
+  apex.getLikes(locals.target, req.query.page, locals.authorized, locals.requesterId).then(col => {
     locals.result = col
     next()
   }).catch(err => {
@@ -169,7 +197,7 @@ function added (req, res, next) {
   const locals = res.locals.apex
   const colId = req.params[apex.collectionParam]
   if (!locals.target || !colId) return next()
-  apex.getAdded(locals.target, colId, req.query.page, locals.authorized).then(col => {
+  apex.getAdded(locals.target, colId, req.query.page, locals.authorized, locals.requesterId).then(col => {
     locals.result = col
     next()
   }).catch(err => {
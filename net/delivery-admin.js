@@ -0,0 +1,76 @@
+'use strict'
+// delivery queue administration. apex does not know who your admins are,
+// so mount these behind your app's own authentication
+const states = ['queued', 'dead']
+const defaultLimit = 100
+
+module.exports = {
+  parseFilter,
+  respondList,
+  respondPurge,
+  respondRetry,
+  respondStats
+}
+
+// query string: state (queued|dead), actor, host, id, limit
+function parseFilter (req, res, next) {
+  const { state = 'queued', actor, host, id, limit } = req.query
+  if (!states.includes(state)) {
+    return res.status(400).send(`state must be one of ${states.join(', ')}`)
+  }
+  const filter = { dead: state === 'dead' }
+  if (actor) filter.actorId = actor
+  if (host) filter.host = host
+  if (id) filter._id = id
+  const locals = res.locals.apex
+  locals.deliveryFilter = filter
+  locals.deliveryLimit = defaultLimit
+  if (limit !== undefined) {
+    locals.deliveryLimit = Number(limit)
+    if (!Number.isInteger(locals.deliveryLimit) || locals.deliveryLimit < 1) {
+      return res.status(400).send('limit must be a positive integer')
+    }
+  }
+  next()
+}
+
+async function respondList (req, res) {
+  const apex = req.app.locals.apex
+  const locals = res.locals.apex
+  try {
+    res.json(await apex.getDeliveries(locals.deliveryFilter, locals.deliveryLimit))
+  } catch (err) {
+    apex.logger.error('Error listing deliveries', err.message)
+    res.sendStatus(500)
+  }
+}
+
+async function respondStats (req, res) {
+  const apex = req.app.locals.apex
+  try {
+    res.json(await apex.getDeliveryStats(res.locals.apex.deliveryFilter))
+  } catch (err) {
+    apex.logger.error('Error counting deliveries', err.message)
+    res.sendStatus(500)
+  }
+}
+
+async function respondRetry (req, res) {
+  const apex = req.app.locals.apex
+  try {
+    res.json({ retried: await apex.retryDeliveries(res.locals.apex.deliveryFilter) })
+  } catch (err) {
+    apex.logger.error('Error retrying deliveries', err.message)
+    res.sendStatus(500)
+  }
+}
+
+async function respondPurge (req, res) {
+  const apex = req.app.locals.apex
+  try {
+    res.json({ purged: await apex.purgeDeliveries(res.locals.apex.deliveryFilter) })
+  } catch (err) {
+    apex.logger.error('Error purging deliveries', err.message)
+    res.sendStatus(500)
+  }
+}
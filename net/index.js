@@ -6,6 +6,7 @@ const security = require('./security')
 const activity = require('./activity')
 const collection = require('./collection')
 const wellKnown = require('./well-known')
+const deliveryAdmin = require('./delivery-admin')
 
 module.exports = {
   validators,
@@ -14,23 +15,31 @@ module.exports = {
   activity,
   collection,
   wellKnown,
+  deliveryAdmin,
   // meta - colletions of middleware to complete activitypub actions
   activityStream: {
     get: [
       validators.jsonld,
       validators.targetActivity,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       security.requireAuthorizedOrPublic,
       responders.target
     ]
   },
   actor: {
-    get: [validators.jsonld, validators.targetActor, responders.target]
+    get: [
+      validators.jsonld,
+      validators.targetActor,
+      security.verifyFetchSignature,
+      responders.target
+    ]
   },
   blocked: {
     get: [
       validators.jsonld,
       validators.targetActor,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.blocked,
       responders.result
@@ -40,15 +49,28 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActor,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.added,
       responders.result
     ]
   },
+  // delivery queue administration, requires your own authentication middleware first
+  deliveries: {
+    get: [deliveryAdmin.parseFilter, deliveryAdmin.respondList],
+    delete: [deliveryAdmin.parseFilter, deliveryAdmin.respondPurge]
+  },
+  deliveryRetry: {
+    post: [deliveryAdmin.parseFilter, deliveryAdmin.respondRetry]
+  },
+  deliveryStats: {
+    get: [deliveryAdmin.parseFilter, deliveryAdmin.respondStats]
+  },
   followers: {
     get: [
       validators.jsonld,
       validators.targetActorWithMeta,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.followers,
       responders.result
@@ -58,6 +80,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActor,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.following,
       responders.result
@@ -68,6 +91,7 @@ module.exports = {
       validators.jsonld,
       validators.targetActorWithMeta,
       security.verifySignature,
+      security.verifyLinkedDataSignature,
       validators.actor,
       validators.activityObject,
       validators.inboxActivity,
@@ -80,6 +104,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActorWithMeta,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.inbox,
       responders.result
@@ -89,6 +114,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActor,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.liked,
       responders.result
@@ -98,6 +124,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActivity,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.shares,
       responders.result
@@ -107,6 +134,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActivity,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.likes,
       responders.result
@@ -116,6 +144,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetObject,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       security.requireAuthorizedOrPublic,
       responders.target
@@ -137,6 +166,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActor,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.outbox,
       responders.result
@@ -146,6 +176,7 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActor,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.rejected,
       responders.result
@@ -155,11 +186,30 @@ module.exports = {
     get: [
       validators.jsonld,
       validators.targetActor,
+      security.verifyFetchSignature,
       security.verifyAuthorization,
       collection.rejections,
       responders.result
     ]
   },
+  sharedInbox: {
+    post: [
+      validators.jsonld,
+      security.verifySignature,
+      security.verifyLinkedDataSignature,
+      validators.activityObject,
+      validators.sharedInboxRecipients,
+      activity.sharedInboxFanOut,
+      responders.status
+    ],
+    get: [
+      validators.jsonld,
+      security.verifyFetchSignature,
+      security.verifyAuthorization,
+      collection.sharedInbox,
+      responders.result
+    ]
+  },
   webfinger: {
     get: [
       wellKnown.parseWebfinger,
@@ -174,8 +224,19 @@ module.exports = {
     get: [wellKnown.respondNodeInfoLocation]
   },
   proxy: {
+    get: [
+      validators.jsonld,
+      security.verifyAuthorization,
+      security.requireAuthorizedUser,
+      security.limitProxyRequests,
+      validators.targetProxied,
+      responders.target
+    ],
     post: [
       validators.jsonld,
+      security.verifyAuthorization,
+      security.requireAuthorizedUser,
+      security.limitProxyRequests,
       validators.targetProxied,
       responders.target
     ]
@@ -1,13 +1,27 @@
 'use strict'
+const crypto = require('crypto')
 const httpSignature = require('http-signature')
 // http communication middleware
 module.exports = {
+  limitProxyRequests,
   requireAuthorized,
   requireAuthorizedOrPublic,
+  requireAuthorizedUser,
   verifyAuthorization,
+  verifyFetchSignature,
+  verifyLinkedDataSignature,
   verifySignature
 }
 
+// body digest algorithms accepted in Digest and Content-Digest headers
+const digestAlgorithms = {
+  'sha-256': 'sha256',
+  'sha-512': 'sha512'
+}
+// signature components that bind a signed GET to the requested resource
+const targetComponents = ['(request-target)', '@target-uri', '@request-target', '@path']
+const actorKeyProps = ['@context', 'id', 'type', 'preferredUsername', 'inbox', 'outbox', 'endpoints', 'publicKey', 'assertionMethod']
+
 function requireAuthorized (req, res, next) {
   const locals = res.locals.apex
   if (!locals.authorized) {
@@ -16,15 +30,42 @@ function requireAuthorized (req, res, next) {
   return next()
 }
 
-function requireAuthorizedOrPublic (req, res, next) {
-  const apex = req.app.locals.apex
-  const locals = res.locals.apex
-  if (locals.target && !(apex.isPublic(locals.target) || locals.authorized)) {
+// any logged in local user, for endpoints that act on their behalf
+function requireAuthorizedUser (req, res, next) {
+  if (!res.locals.apex.authorizedUserId) {
     return res.sendStatus(403)
   }
   return next()
 }
 
+// per-user limit on proxyUrl requests, as each may cause a request to another server
+function limitProxyRequests (req, res, next) {
+  const apex = req.app.locals.apex
+  const retryAfter = apex.proxyRateLimiter.take(res.locals.apex.authorizedUserId)
+  if (retryAfter) {
+    res.set('Retry-After', Math.ceil(retryAfter / 1000))
+    return res.status(429).send('Too many proxy requests')
+  }
+  return next()
+}
+
+async function requireAuthorizedOrPublic (req, res, next) {
+  const apex = req.app.locals.apex
+  const locals = res.locals.apex
+  if (!locals.target || apex.isPublic(locals.target) || locals.authorized) {
+    return next()
+  }
+  try {
+    // followers-only and direct objects are available to their recipients
+    if (locals.requesterId && await apex.isRecipient(locals.target, locals.requesterId)) {
+      return next()
+    }
+  } catch (err) {
+    return next(err)
+  }
+  return res.sendStatus(403)
+}
+
 function verifyAuthorization (req, res, next) {
   const apex = req.app.locals.apex
   const locals = res.locals.apex
@@ -38,6 +79,10 @@ function verifyAuthorization (req, res, next) {
     locals.authorized = locals.target && locals.authorizedUserId &&
       apex.validateOwner(locals.target, { id: locals.authorizedUserId })
   }
+  // requesting actor, from the local session or a signed fetch
+  if (locals.requesterId == null) {
+    locals.requesterId = locals.authorizedUserId || locals.requester?.id
+  }
   next()
 }
 
@@ -49,39 +94,93 @@ async function verifySignature (req, res, next) {
         apex.logger.warn('Request rejected: missing http signature')
         return res.status(401).send('Missing http signature')
       }
+      if (await isSuspended(apex, [apex.actorIdFromActivity(req.body)])) {
+        return res.status(403).send('Domain suspended')
+      }
       const actor = await apex.resolveObject(apex.actorIdFromActivity(req.body))
       res.locals.apex.sender = actor
       return next()
     }
     const type = req.body.type.toLowerCase()
-    const sigHead = httpSignature.parse(req)
-    const validator = (publicKey) => httpSignature.verifySignature(sigHead, publicKey)
+    let signature
+    try {
+      signature = req.get('signature-input')
+        ? apex.parseHttpMessageSignature(req)
+        : parseCavageSignature(req, apex.maxClockSkew)
+    } catch (err) {
+      if (err.name === 'ExpiredRequestError') {
+        apex.logger.warn('Request rejected:', err.message)
+        return res.status(401).send('Request date outside allowed clock skew')
+      }
+      apex.logger.warn('Request rejected: malformed http signature', err.message)
+      return res.status(400).send('Malformed http signature')
+    }
+    const dateError = checkSignatureDate(req, signature, apex.maxClockSkew)
+    if (dateError) {
+      apex.logger.warn('Request rejected:', dateError)
+      return res.status(401).send(dateError)
+    }
+    // reject before fetching anything from a suspended domain
+    if (await isSuspended(apex, [signature.keyId, apex.actorIdFromActivity(req.body)])) {
+      return res.status(403).send('Domain suspended')
+    }
     // check local cache only at first to avoid unnecessary fetches
     let cached = true
-    let signer = await apex.resolveObject(sigHead.keyId, false, false, true)
+    let signer = await apex.resolveObject(signature.keyId, false, false, true)
     if ((type === 'delete' || type === 'update') && (!signer || signer.type.toLowerCase() === 'tombstone')) {
       console.log('Ignoring unverifiable %s from %s', type, req.body.actor)
       // user delete message that can't be verified because we don't have the user cached
       return res.status(200).send()
     } else if (!signer) {
-      console.log('Fetching actor to verify signature %s', sigHead.keyId)
+      console.log('Fetching actor to verify signature %s', signature.keyId)
       cached = false
-      signer = await apex.resolveObject(sigHead.keyId)
+      signer = await apex.resolveObject(signature.keyId)
     }
-    if (!signer.publicKey?.[0].publicKeyPem?.[0]) {
-      throw new Error('Could not find key for %s %j', sigHead.keyId, signer)
-    }
-    let valid = validator(signer.publicKey[0].publicKeyPem[0])
-    if (!valid && cached) {
-      console.log('Refreshing key for %s', sigHead.keyId)
-      // try refreshing cached key in case of key rotation
-      signer = await apex.resolveObject(sigHead.keyId, false, true)
-      valid = validator(signer.publicKey[0].publicKeyPem[0])
-    }
-    if (!valid) {
+    signer = await verifySignerKey(apex, signature, signer, cached)
+    if (!signer) {
       apex.logger.warn('Request rejected: invalid http signature')
       return res.status(403).send('Invalid http signature')
     }
+    // the signature only covers the body through a signed digest of it
+    const digestHeader = ['content-digest', 'digest']
+      .find(header => req.get(header) && signature.components.includes(header))
+    if (!digestHeader) {
+      apex.logger.warn('Request rejected: missing signed digest')
+      return res.status(401).send('Missing signed Digest or Content-Digest header')
+    }
+    let body = req.rawBody
+    if (!body) {
+      warnMissingRawBody(apex)
+      // re-serialized as received, which only matches digests of compact JSON
+      body = JSON.stringify(res.locals.apex.originalBody ?? req.body)
+    }
+    const digests = parseDigest(req.get(digestHeader), digestHeader === 'content-digest')
+    if (!digests.length) {
+      apex.logger.warn('Request rejected: unsupported digest algorithm', req.get(digestHeader))
+      return res.status(400).send('Unsupported digest algorithm')
+    }
+    const matches = digests.every(({ algorithm, value }) => {
+      return crypto.createHash(algorithm).update(body).digest('base64') === value
+    })
+    if (!matches) {
+      apex.logger.warn('Request rejected: digest does not match request body')
+      return res.status(403).send('Digest does not match request body')
+    }
+    if (apex.signatureReplayCache) {
+      // remembered until the request date is outside the allowed skew and would be rejected anyway
+      const expires = new Date(signatureDate(req, signature).getTime() + apex.maxClockSkew)
+      if (!await apex.store.rememberSignature(signature.value, expires)) {
+        apex.logger.warn('Request rejected: replayed http signature')
+        return res.status(401).send('Duplicate http signature')
+      }
+    }
+    if (signature.format === 'rfc9421' && !apex.isLocalIRI(signer.id)) {
+      // sign requests to this host the same way, unless it has refused RFC 9421 signatures before
+      const host = new URL(signer.id).host
+      if (!await apex.store.getSignatureFormat(host)) {
+        await apex.store.saveSignatureFormat(host, 'rfc9421')
+      }
+    }
     res.locals.apex.sender = signer
     next()
   } catch (err) {
@@ -89,3 +188,257 @@ async function verifySignature (req, res, next) {
     return res.status(500).send()
   }
 }
+
+// apex instances already warned about a body parser without captureRawBody
+const rawBodyWarned = new WeakSet()
+function warnMissingRawBody (apex) {
+  if (rawBodyWarned.has(apex)) {
+    return
+  }
+  rawBodyWarned.add(apex)
+  apex.logger.warn('Raw request body not available, verifying digests against the re-serialized body. ' +
+    'Use apex.net.validators.captureRawBody as the body parser verify option')
+}
+
+/**
+ * Identify the actor making a GET request from its http signature, as res.locals.apex.requester.
+ * Unsigned requests and requests with signatures that can't be verified are treated as anonymous,
+ * unless the authorizedFetch option is enabled. Then the signature is required, and actors and domains
+ * blocked by the owner of the target are refused. Unsigned requests for actors get only their keys
+ * so that remote servers can verify our signatures without a signed fetch of their own,
+ * and the system user is always served
+ */
+async function verifyFetchSignature (req, res, next) {
+  const apex = req.app.locals.apex
+  const locals = res.locals.apex
+  const target = locals.target
+  // not found, or authorized by the app (e.g. PassportJS session)
+  if (locals.status || req.user) {
+    return next()
+  }
+  const signed = req.get('signature') || req.get('signature-input') || /^signature /i.test(req.get('authorization'))
+  try {
+    if (!apex.authorizedFetch) {
+      if (signed) {
+        const { requester, error } = await authenticateFetch(apex, req, target)
+          .catch(err => ({ error: err.message }))
+        if (error) {
+          apex.logger.info('Fetch signature not verified:', error)
+        }
+        locals.requester = requester
+      }
+      return next()
+    }
+    if (target && target.id === apex.systemUser?.id) {
+      return next()
+    }
+    if (!signed) {
+      const url = new URL(req.originalUrl, apex.baseUrl)
+      if (target?.inbox && `${url.origin}${url.pathname}` === target.id) {
+        locals.target = actorKeysOnly(target)
+        return next()
+      }
+      apex.logger.warn('Fetch rejected: missing http signature')
+      return res.status(401).send('Missing http signature')
+    }
+    const { requester, status, error } = await authenticateFetch(apex, req, target)
+    if (!requester) {
+      apex.logger.warn('Fetch rejected:', error)
+      return res.status(status).send(error)
+    }
+    locals.requester = requester
+    next()
+  } catch (err) {
+    apex.logger.warn('error during fetch signature verification', err)
+    return res.status(500).send()
+  }
+}
+
+// signing actor of a GET request as `requester`, or response `status` and `error` message
+async function authenticateFetch (apex, req, target) {
+  let signature
+  try {
+    signature = req.get('signature-input')
+      ? apex.parseHttpMessageSignature(req)
+      : parseCavageSignature(req, apex.maxClockSkew)
+  } catch (err) {
+    if (err.name === 'ExpiredRequestError') {
+      return { status: 401, error: 'Request date outside allowed clock skew' }
+    }
+    return { status: 400, error: 'Malformed http signature' }
+  }
+  const dateError = checkSignatureDate(req, signature, apex.maxClockSkew)
+  if (dateError) {
+    return { status: 401, error: dateError }
+  }
+  if (!targetComponents.some(component => signature.components.includes(component))) {
+    return { status: 401, error: 'Request target not covered by http signature' }
+  }
+  if (await isSuspended(apex, [signature.keyId])) {
+    return { status: 403, error: 'Domain suspended' }
+  }
+  let signer = await apex.resolveObject(signature.keyId, false, false, true)
+  const cached = !!signer
+  if (!cached) {
+    signer = await apex.resolveObject(signature.keyId)
+  }
+  signer = await verifySignerKey(apex, signature, signer, cached)
+  if (!signer) {
+    return { status: 403, error: 'Invalid http signature' }
+  }
+  if (await isBlockedByOwner(apex, target, signer)) {
+    // not revealing the block to the requester
+    apex.logger.info('Fetch by actor blocked by owner', signer.id)
+    return { status: 403, error: 'Forbidden' }
+  }
+  return { requester: signer }
+}
+
+// verify with the signer's key matching the signature keyId
+async function verifySignerKey (apex, signature, signer, cached) {
+  const verify = signer => {
+    // e.g. if the signer's cached keys have all expired
+    const key = apex.findActorKey(signer, signature.keyId)
+    return !!key && signature.verify(key.publicKeyPem)
+  }
+  let valid = verify(signer)
+  if (!valid && cached) {
+    apex.logger.info('Refreshing key for', signature.keyId)
+    // try refreshing cached key in case of key rotation
+    signer = await apex.resolveObject(signature.keyId, false, true)
+    valid = verify(signer)
+  }
+  return valid ? signer : null
+}
+
+// whether a local owner of the target blocked the requesting actor or its domain,
+// where a Block of a domain's origin (e.g. https://example.com) blocks the whole domain
+async function isBlockedByOwner (apex, target, requester) {
+  if (!target) {
+    return false
+  }
+  const ownerId = target.inbox
+    ? target.id
+    : apex.objectIdFromValue(target.attributedTo?.[0] ?? target.actor?.[0])
+  if (!ownerId || !apex.isLocalIRI(ownerId)) {
+    return false
+  }
+  let blockList = target._local?.blockList
+  if (!blockList) {
+    const owner = ownerId === target.id ? target : await apex.store.getObject(ownerId)
+    if (!owner) {
+      return false
+    }
+    blockList = (await apex.getBlocked(owner, Infinity, true)).orderedItems
+  }
+  return blockList.includes(requester.id) || blockList.includes(new URL(requester.id).origin)
+}
+
+// public representation of an actor without its profile, for unsigned key fetches
+function actorKeysOnly (actor) {
+  const keysOnly = {}
+  actorKeyProps
+    .filter(prop => actor[prop] !== undefined)
+    .forEach(prop => { keysOnly[prop] = actor[prop] })
+  return keysOnly
+}
+
+async function isSuspended (apex, iris) {
+  for (const iri of iris) {
+    const policy = await apex.getDomainPolicy(iri)
+    if (policy.severity === 'suspend') {
+      apex.logger.warn('Request rejected: domain suspended', policy.domain)
+      return true
+    }
+  }
+  return false
+}
+
+// activities forwarded from inboxes are sent by the forwarding server,
+// so authenticate the author with the activity's Linked Data Signature or Data Integrity proof instead
+async function verifyLinkedDataSignature (req, res, next) {
+  const apex = req.app.locals.apex
+  const locals = res.locals.apex
+  const original = locals.originalBody
+  if (!locals.sender || !(original?.signature || original?.proof) || !apex.validateActivity(req.body)) {
+    return next()
+  }
+  const actorId = apex.actorIdFromActivity(req.body)
+  if (actorId === locals.sender.id) {
+    return next()
+  }
+  try {
+    const signer = await apex.verifyActivitySignature(original)
+    if (signer?.id === actorId) {
+      locals.ldSigner = signer
+    } else {
+      apex.logger.warn('Invalid linked data signature for forwarded activity from', actorId)
+    }
+  } catch (err) {
+    apex.logger.warn('error during linked data signature verification', err.message)
+  }
+  next()
+}
+
+// draft-cavage Signature or Authorization header, in the form returned by apex.parseHttpMessageSignature
+function parseCavageSignature (req, maxClockSkew) {
+  // required signed headers are checked afterwards to give clear errors
+  const sigHead = httpSignature.parse(req, { clockSkew: Math.ceil(maxClockSkew / 1000), headers: [] })
+  const components = sigHead.params.headers
+  return {
+    format: 'cavage',
+    keyId: sigHead.keyId,
+    components,
+    created: components.includes('(created)') ? new Date(sigHead.params.created * 1000) : undefined,
+    expires: components.includes('(expires)') ? new Date(sigHead.params.expires * 1000) : undefined,
+    value: sigHead.params.signature,
+    verify (publicKeyPem) {
+      const key = crypto.createPublicKey(publicKeyPem)
+      if (key.asymmetricKeyType === 'ed25519') {
+        // hs2019 with an Ed25519 key, not supported by http-signature
+        return crypto.verify(null, Buffer.from(sigHead.signingString), key, Buffer.from(sigHead.params.signature, 'base64'))
+      }
+      return httpSignature.verifySignature(sigHead, publicKeyPem)
+    }
+  }
+}
+
+// signed request date, from the date header or the signature's created parameter
+function signatureDate (req, signature) {
+  if (signature.components.includes('date')) {
+    return new Date(req.get('date'))
+  }
+  return signature.created
+}
+
+// error message if the request date is not signed, is too far from the current time, or has expired
+function checkSignatureDate (req, signature, maxClockSkew) {
+  const date = signatureDate(req, signature)
+  if (!date) {
+    return 'Date not covered by http signature'
+  }
+  if (isNaN(date) || Math.abs(Date.now() - date.getTime()) > maxClockSkew) {
+    return 'Request date outside allowed clock skew'
+  }
+  if (signature.expires < Date.now()) {
+    return 'Http signature expired'
+  }
+}
+
+// parse Digest (RFC 3230) or Content-Digest (RFC 9530) header values,
+// keeping only supported algorithms
+function parseDigest (header, isContentDigest) {
+  return header.split(',')
+    .map(item => {
+      // base64 padding may also contain '='
+      const separator = item.indexOf('=')
+      const algorithm = digestAlgorithms[item.slice(0, separator).trim().toLowerCase()]
+      let value = item.slice(separator + 1).trim()
+      if (isContentDigest) {
+        // structured field byte sequence, e.g. sha-256=:base64:
+        value = value.replace(/;.*$/, '').replace(/^:(.*):$/, '$1')
+      }
+      return { algorithm, value }
+    })
+    .filter(({ algorithm }) => algorithm)
+}
@@ -3,11 +3,13 @@
 module.exports = {
   activityObject,
   actor,
+  captureRawBody,
   inboxActivity,
   jsonld,
   outboxActivity,
   outboxActivityObject,
   outboxCreate,
+  sharedInboxRecipients,
   targetActivity,
   targetActor,
   targetActorWithMeta,
@@ -36,25 +38,40 @@ function activityObject (req, res, next) {
   if (!apex.validateActivity(activity)) return next()
 
   const type = req.body.type.toLowerCase()
+  // objects embedded by a third party are fetched from their own origin instead
+  const embedded = activity.object?.[0]
+  const thirdParty = apex.validateObject(embedded) &&
+    !apex.validateOrigin(embedded, apex.actorIdFromActivity(activity))
   if (needsResolveObject.includes(type) && activity.object) {
-    object = apex.resolveObject(activity.object[0], true)
+    object = apex.resolveObject(thirdParty ? embedded.id : embedded, true)
   } else if (needsResolveActivity.includes(type) && activity.object) {
-    object = apex.resolveActivity(activity.object[0], true)
+    object = apex.resolveActivity(thirdParty ? embedded.id : embedded, true)
   } else if (needsLocalActivity.includes(type)) {
     object = apex.store.getActivity(apex.objectIdFromActivity(activity), true)
   } else if (needsLocalObject.includes(type)) {
     object = apex.store.getObject(apex.objectIdFromActivity(activity), true)
   } else if (needsInlineObject.includes(type) && apex.validateObject(activity.object)) {
-    object = activity.object[0]
+    object = thirdParty ? apex.resolveObject(embedded.id, true, true) : embedded
+  }
+  if (thirdParty) {
+    // unresolvable objects fail validation as missing
+    object = Promise.resolve(object).catch(err => {
+      apex.logger.warn(`Unable to resolve third party object ${embedded.id}`, err.message)
+      return null
+    })
   }
   Promise.resolve(object).then(obj => {
+    if (thirdParty) {
+      // replace the embedded copy with the authoritative version
+      const { _meta, ...authoritative } = obj ?? {}
+      activity.object[0] = obj ? authoritative : embedded.id
+    }
     resLocal.object = obj
     next()
   }).catch(next)
 }
 
-// confirm activity actor is sender and not blocked
-// TODO: alternative authorization via JSON-LD signatures for forwarding
+// confirm activity actor is sender (or signed a forwarded activity) and not blocked
 function actor (req, res, next) {
   if (!res.locals.apex.sender || !res.locals.apex.target) return next()
   const apex = req.app.locals.apex
@@ -67,7 +84,7 @@ function actor (req, res, next) {
       return next()
     }
     return apex.resolveObject(actorId).then(actor => {
-      if (actor.id === resLocal.sender.id) {
+      if (actor.id === resLocal.sender.id || actor.id === resLocal.ldSigner?.id) {
         resLocal.actor = actor
       }
       next()
@@ -90,6 +107,11 @@ function inboxActivity (req, res, next) {
     resLocal.statusMessage = 'Invalid activity'
     return next()
   }
+  if (!apex.validateOrigin(activity, actor.id)) {
+    resLocal.status = 403
+    resLocal.statusMessage = 'Activity origin does not match actor'
+    return next()
+  }
   // aditional validation for specific activites
   const type = activity.type.toLowerCase()
   if (requiresActivityObject.includes(type) && !apex.validateActivity(object)) {
@@ -139,11 +161,42 @@ function inboxActivity (req, res, next) {
   tasks.push(apex.embedCollections(activity))
   Promise.all(tasks).then(() => {
     apex.addMeta(req.body, 'collection', recipient.inbox[0])
+    if (apex.settings.endpoints?.sharedInbox) {
+      // also add to instance-wide stream of received activities
+      apex.addMeta(req.body, 'collection', apex.settings.endpoints.sharedInbox)
+    }
     res.locals.apex.activity = true
     next()
   }).catch(next)
 }
 
+// find local actors to deliver an activity posted to the shared inbox to
+function sharedInboxRecipients (req, res, next) {
+  if (!res.locals.apex.sender) return next()
+  const apex = req.app.locals.apex
+  const resLocal = res.locals.apex
+  const activity = req.body
+  if (!apex.validateActivity(activity)) {
+    resLocal.status = 400
+    resLocal.statusMessage = 'Invalid activity'
+    return next()
+  }
+  const author = resLocal.ldSigner ?? resLocal.sender
+  apex.sharedInboxRecipients(activity, author, resLocal.object).then(recipients => {
+    resLocal.recipients = recipients
+    next()
+  }).catch(next)
+}
+
+/**
+ * Keep the request body bytes as received, for byte-exact inbox forwarding.
+ * Not middleware: pass as the verify option of the body parser,
+ * e.g. express.json({ type: apex.consts.jsonldTypes, verify: apex.net.validators.captureRawBody })
+ */
+function captureRawBody (req, res, buf) {
+  req.rawBody = buf
+}
+
 async function jsonld (req, res, next) {
   const apex = req.app.locals.apex
   const jsonldAccepted = req.accepts(apex.consts.jsonldTypes)
@@ -160,6 +213,8 @@ async function jsonld (req, res, next) {
       if (!obj) {
         return res.status(400).send('Request body is not valid JSON-LD')
       }
+      // as received, for signature verification
+      res.locals.apex.originalBody = req.body
       req.body = obj
     } catch (err) {
       // potential fetch errors on context sources
@@ -248,17 +303,36 @@ async function targetObject (req, res, next) {
   next()
 }
 
+// object requested through the proxyUrl endpoint by the authorized user,
+// with id in the form body or, for GET requests, the query string
 async function targetProxied (req, res, next) {
   const apex = req.app.locals.apex
   const locals = res.locals.apex
-  if (!req.body?.id) {
+  const id = req.method === 'GET' ? req.query.id : req.body?.id
+  let url
+  try {
+    url = apex.isString(id) && new URL(id)
+  } catch (err) {}
+  if (!['http:', 'https:'].includes(url?.protocol)) {
     locals.status = 400
-    locals.statusMessage = 'Proxy requests is missing "id" parameter in form body'
+    locals.statusMessage = 'Proxy request is missing a valid "id" parameter'
     return next()
   }
+  let user
   try {
-    locals.target = await apex.resolveUnknown(req.body.id)
+    user = await apex.store.getObject(locals.authorizedUserId, true)
   } catch (err) { return next(err) }
+  if (!user) {
+    locals.status = 403
+    return next()
+  }
+  try {
+    locals.target = await apex.resolveProxied(id, user)
+  } catch (err) {
+    apex.logger.warn(`Proxy request for ${id} failed`, err.message)
+    locals.status = 502
+    locals.statusMessage = 'Unable to fetch remote object'
+  }
   next()
 }
 
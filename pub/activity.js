@@ -7,10 +7,13 @@ module.exports = {
   buildActivity,
   buildTombstone,
   embedCollections,
+  forwardActivity,
+  isRecipient,
   publishActivity,
   publishUndoUpdate,
   publishUpdate,
-  resolveActivity
+  resolveActivity,
+  sharedInboxRecipients
 }
 
 async function buildActivity (type, actorId, to, etc = {}) {
@@ -112,9 +115,104 @@ async function address (activity, sender, audienceOverride) {
       if (result.value.inbox[0] === sender.inbox[0]) return false
       return true
     })
-    .map(result => result.value.endpoints?.[0]?.sharedInbox?.[0] || result.value.inbox[0])
+    .map(result => {
+      // local actors get direct delivery to their own inbox
+      if (this.isLocalIRI(result.value.id)) {
+        return result.value.inbox[0]
+      }
+      return result.value.endpoints?.[0]?.sharedInbox?.[0] || result.value.inbox[0]
+    })
   // 7.1 de-dupe
-  return Array.from(new Set(audience))
+  audience = Array.from(new Set(audience))
+  const domainPolicy = await this.getDomainPolicyMatcher(audience)
+  return audience.filter(inbox => domainPolicy(inbox).severity !== 'suspend')
+}
+
+/** sharedInboxRecipients
+ * Find the local actors that should receive an activity delivered to the shared inbox:
+ * actors it is addressed to, actors it is about (e.g. the object of a Follow or the
+ * actor of an accepted Follow), and followers of the sender if the sender's followers
+ * collection is addressed
+ * @param  {object} activity
+ * @param  {object} sender - verified sending actor
+ * @param  {object} [object] - resolved activity object
+ * @returns {Promise<object[]>} local actor objects with meta
+ */
+async function sharedInboxRecipients (activity, sender, object) {
+  const ids = new Set(this.audienceFromActivity(activity))
+  ;[].concat(activity.object ?? []).forEach(o => ids.add(this.objectIdFromValue(o)))
+  if (this.validateActivity(object)) {
+    ;[].concat(object.actor ?? [], object.object ?? []).forEach(o => ids.add(this.objectIdFromValue(o)))
+  }
+  const candidates = Array.from(ids)
+    .filter(id => this.isString(id) && this.isLocalIRI(id))
+    .map(id => this.store.getObject(id, true))
+  if (sender.followers && ids.has(sender.followers[0])) {
+    const follows = await this.store.findActivitiesByTypeAndObjectId('Follow', sender.id, true)
+    follows.forEach(follow => {
+      const followerId = this.actorIdFromActivity(follow)
+      if (!this.isLocalIRI(followerId)) return
+      candidates.push(this.store.getObject(followerId, true).then(follower => {
+        // only accepted follows are in the follower's following collection
+        return follower?.following && this.hasMeta(follow, 'collection', follower.following[0])
+          ? follower
+          : null
+      }))
+    })
+  }
+  const recipients = new Map()
+  for (const actor of await Promise.all(candidates)) {
+    if (actor?.inbox && actor._meta?.privateKey) {
+      recipients.set(actor.id, actor)
+    }
+  }
+  return Array.from(recipients.values())
+}
+
+/** isRecipient
+ * Check whether an actor is in the audience of an object or activity, either directly or
+ * as a member of its local owner's followers or custom collections
+ * @param  {object} object
+ * @param  {string} actorId
+ * @param  {Map} [memberships] - collection membership results to reuse when checking many objects for the same actor
+ * @returns {Promise<boolean>}
+ */
+async function isRecipient (object, actorId, memberships = new Map()) {
+  const audience = this.audienceFromActivity(object).map(t => this.objectIdFromValue(t))
+  if (audience.includes(actorId)) {
+    return true
+  }
+  const ownerId = this.objectIdFromValue(object.attributedTo?.[0] ?? object.actor?.[0])
+  if (!ownerId || !this.isLocalIRI(ownerId)) {
+    return false
+  }
+  for (const collectionId of audience) {
+    const info = this.isString(collectionId) && this.utils.iriToCollectionInfo(collectionId)
+    // only collections of the owner are expanded, as in address
+    if (!['followers', 'collections'].includes(info?.name) || this.utils.usernameToIRI(info.actor) !== ownerId) {
+      continue
+    }
+    if (!memberships.has(collectionId)) {
+      memberships.set(collectionId, isCollectionMember(this, collectionId, actorId))
+    }
+    if (await memberships.get(collectionId)) {
+      return true
+    }
+  }
+  return false
+}
+
+// followers are the actors of Follow activities in the collection, custom collections
+// also include the objects, as in address
+async function isCollectionMember (apex, collectionId, actorId) {
+  if (await apex.store.findActivityByCollectionAndActorId(collectionId, actorId)) {
+    return true
+  }
+  if (apex.utils.iriToCollectionInfo(collectionId).name !== 'collections') {
+    return false
+  }
+  const added = await apex.store.getStream(collectionId, 1, null, null, { object: actorId })
+  return added.length > 0
 }
 
 /** addToOutbox
@@ -162,7 +260,7 @@ async function embedCollections (activity) {
 
 /** publishActivity
  * Prepare an activity for federated delivery, resolve addresses, and add
- * to delivery queue
+ * to delivery queue. Local recipients receive the activity directly
  * @param  {object} actor - actor object with meta for request signing
  * @param  {object} activity - activity object
  * @param  {string[]} audienceOverride - array of IRIs, used in inbox forwarding to
@@ -173,10 +271,51 @@ async function publishActivity (actor, activity, audienceOverride) {
     this.address(activity, actor, audienceOverride),
     this.toJSONLD(activity)
   ]
-  const [addresses, outgoingActivity] = await Promise.all(tasks)
-  if (addresses.length) {
-    return this.queueForDelivery(actor, outgoingActivity, addresses)
+  let [addresses, outgoingActivity] = await Promise.all(tasks)
+  const isAuthor = this.actorIdFromActivity(activity) === actor.id
+  if (addresses.length && isAuthor && this.isPublic(activity) && !outgoingActivity.signature && !outgoingActivity.proof) {
+    // lets servers the activity is forwarded to verify the author
+    outgoingActivity = await this.signActivity(actor, outgoingActivity)
+  }
+  const localAddresses = addresses.filter(address => this.isLocalIRI(address))
+  const remoteAddresses = addresses.filter(address => !this.isLocalIRI(address))
+  const deliveries = []
+  if (localAddresses.length) {
+    deliveries.push(this.deliverLocal(actor, outgoingActivity, localAddresses))
+  }
+  if (remoteAddresses.length) {
+    deliveries.push(this.queueForDelivery(actor, outgoingActivity, remoteAddresses))
+  }
+  return Promise.all(deliveries)
+}
+
+/** forwardActivity
+ * Forward an activity received in an inbox to a local collection audience. The payload
+ * is delivered exactly as received so that signatures from the origin server can still be
+ * verified; only the http requests are signed by the forwarding actor
+ * @param  {object} actor - forwarding actor object with meta for request signing
+ * @param  {object} activity - activity object
+ * @param  {Buffer|string|object} received - request body bytes, or the parsed JSON if unavailable
+ * @param  {string[]} audience - array of local collection IRIs to forward to
+ */
+async function forwardActivity (actor, activity, received, audience) {
+  const addresses = await this.address(activity, actor, audience)
+  const body = Buffer.isBuffer(received)
+    ? received.toString('utf8')
+    : this.isString(received) ? received : JSON.stringify(received)
+  const localAddresses = addresses.filter(address => this.isLocalIRI(address))
+  const remoteAddresses = addresses.filter(address => !this.isLocalIRI(address))
+  const deliveries = []
+  if (localAddresses.length) {
+    deliveries.push(this.deliverLocal(actor, JSON.parse(body), localAddresses))
+  }
+  if (remoteAddresses.length) {
+    const priority = this.deliveryPriority(activity)
+    await this.store
+      .deliveryEnqueue(actor.id, body, remoteAddresses, actor._meta.privateKey, priority)
+    deliveries.push(this.startDelivery())
   }
+  return Promise.all(deliveries)
 }
 
 // undo may need to publish updates on behalf of multiple
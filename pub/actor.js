@@ -1,27 +1,31 @@
 const crypto = require('crypto')
 const { promisify } = require('util')
+const { multikeyToPem, pemToMultikey } = require('./multibase')
 
 const generateKeyPairPromise = promisify(crypto.generateKeyPair)
 
 module.exports = {
-  createActor
+  createActor,
+  findActorKey,
+  rotateActorKey
 }
 
-async function createActor (username, displayName, summary, icon, type = 'Person') {
+/**
+ * Create a local actor with an RSA key for http signatures
+ * @param  {string} username
+ * @param  {string} displayName
+ * @param  {string} summary
+ * @param  {object} icon
+ * @param  {string} type
+ * @param  {object} options - `ed25519: true` to add an Ed25519 key for signing
+ *   object proofs, listed as a FEP-521a assertionMethod
+ * @returns {Promise<object>} actor with meta
+ */
+async function createActor (username, displayName, summary, icon, type = 'Person', options = {}) {
   username = username.toLowerCase()
   const id = this.utils.usernameToIRI(username)
   const routes = this.utils.nameToActorStreams(username)
-  const pair = await generateKeyPairPromise('rsa', {
-    modulusLength: 4096,
-    publicKeyEncoding: {
-      type: 'spki',
-      format: 'pem'
-    },
-    privateKeyEncoding: {
-      type: 'pkcs8',
-      format: 'pem'
-    }
-  })
+  const pair = await generateKeyPair('rsa')
   let actor = {
     id,
     type,
@@ -48,7 +52,142 @@ async function createActor (username, displayName, summary, icon, type = 'Person
       ...this.settings.endpoints
     }
   }
+  const privateKeys = {}
+  if (options.ed25519) {
+    const ed25519Pair = await generateKeyPair('ed25519')
+    const keyId = `${id}#ed25519-key`
+    actor.assertionMethod = [{
+      id: keyId,
+      type: 'Multikey',
+      controller: id,
+      publicKeyMultibase: pemToMultikey(ed25519Pair.publicKey)
+    }]
+    privateKeys[keyId] = ed25519Pair.privateKey
+  }
   actor = await this.fromJSONLD(actor)
   actor._meta = { privateKey: pair.privateKey }
+  if (Object.keys(privateKeys).length) {
+    // additional keys by id, the main key remains privateKey
+    actor._meta.privateKeys = privateKeys
+  }
   return actor
 }
+
+/**
+ * Find an actor's public key by id among its publicKey and FEP-521a
+ * assertionMethod keys. Falls back to the main key if none matches, as key ids
+ * are not always consistent between signatures and actor documents. Expired keys are ignored
+ * @param  {object} actor
+ * @param  {string} keyId
+ * @returns {object} key with `id`, `publicKeyPem`, and `assertion` true if listed in
+ *   assertionMethod, or undefined if the actor has no usable keys
+ */
+function findActorKey (actor, keyId) {
+  const now = new Date()
+  const unexpired = key => !key.expires?.[0] || new Date(key.expires[0]) > now
+  const publicKeys = (actor?.publicKey ?? [])
+    .filter(key => key.publicKeyPem?.[0] && unexpired(key))
+    .map(key => ({ id: key.id, publicKeyPem: key.publicKeyPem[0], assertion: false }))
+  const assertionKeys = (actor?.assertionMethod ?? [])
+    // references to keys in other documents are not supported
+    .filter(key => this.isString(key.publicKeyMultibase?.[0]) && unexpired(key))
+    .map(key => ({ id: key.id, publicKeyPem: multikeyToPem(key.publicKeyMultibase[0]), assertion: true }))
+    .filter(key => key.publicKeyPem)
+  return publicKeys.concat(assertionKeys).find(key => key.id === keyId) ?? publicKeys[0]
+}
+
+/**
+ * Replace a local actor's keys, e.g. after a private key has leaked. New keys get new ids,
+ * and the previous public keys remain in the actor with an expiration date so that signatures
+ * made before the rotation can still be verified during the grace period. Queued deliveries are
+ * signed with the new key, and an Update of the actor is sent to its followers and to all known inboxes
+ * @param  {object} actor - local actor
+ * @param  {number} [gracePeriod] - ms that previous keys remain valid, default 24 hours
+ * @returns {Promise<object>} updated actor with meta
+ */
+async function rotateActorKey (actor, gracePeriod = 24 * 60 * 60 * 1000) {
+  const current = await this.store.getObject(actor.id, true)
+  if (!current?._meta?.privateKey) {
+    throw new Error(`Cannot rotate keys of ${actor.id}, not a local actor`)
+  }
+  const now = new Date()
+  const expires = new Date(now.getTime() + gracePeriod).toISOString()
+  // drop keys from earlier rotations whose grace period has ended
+  const retire = keys => (keys ?? [])
+    .filter(key => !key.expires?.[0] || new Date(key.expires[0]) > now)
+    .map(key => ({ ...key, expires: key.expires ?? [expires] }))
+  const suffix = now.getTime().toString(36)
+  const pair = await generateKeyPair('rsa')
+  const rotated = {
+    ...current,
+    publicKey: [{
+      id: `${current.id}#main-key-${suffix}`,
+      owner: [current.id],
+      publicKeyPem: [pair.publicKey]
+    }].concat(retire(current.publicKey)),
+    _meta: { ...current._meta, privateKey: pair.privateKey }
+  }
+  if (current._meta.privateKeys) {
+    const privateKeys = {}
+    const assertionMethod = []
+    for (const key of current.assertionMethod ?? []) {
+      if (!current._meta.privateKeys[key.id]) {
+        continue
+      }
+      const ed25519Pair = await generateKeyPair('ed25519')
+      const keyId = `${current.id}#ed25519-key-${suffix}`
+      assertionMethod.push({
+        id: keyId,
+        type: 'Multikey',
+        controller: [current.id],
+        publicKeyMultibase: [pemToMultikey(ed25519Pair.publicKey)]
+      })
+      privateKeys[keyId] = ed25519Pair.privateKey
+    }
+    rotated.assertionMethod = assertionMethod.concat(retire(current.assertionMethod))
+    rotated._meta.privateKeys = privateKeys
+  }
+  // also re-signs queued deliveries
+  await this.store.updateObject(rotated, current.id, true)
+  if (this.systemUser?.id === rotated.id) {
+    this.systemUser = rotated
+  }
+  const { _meta, _local, ...object } = rotated
+  const update = await this.buildActivity('Update', rotated.id, rotated.followers[0], {
+    object,
+    cc: this.consts.publicAddress
+  })
+  this.addMeta(update, 'collection', rotated.outbox[0])
+  await this.store.saveActivity(update)
+  // servers that are not followers may have cached the old key too
+  const [addresses, knownInboxes] = await Promise.all([
+    this.address(update, rotated),
+    this.store.getActorInboxes()
+  ])
+  const remoteAddresses = Array.from(new Set(addresses.concat(knownInboxes)))
+    .filter(address => !this.isLocalIRI(address))
+  const localAddresses = addresses.filter(address => this.isLocalIRI(address))
+  const outgoing = await this.signActivity(rotated, await this.toJSONLD(update))
+  if (localAddresses.length) {
+    await this.deliverLocal(rotated, outgoing, localAddresses)
+  }
+  if (remoteAddresses.length) {
+    await this.queueForDelivery(rotated, outgoing, remoteAddresses)
+  }
+  return rotated
+}
+
+function generateKeyPair (type) {
+  return generateKeyPairPromise(type, {
+    // ignored for ed25519
+    modulusLength: 4096,
+    publicKeyEncoding: {
+      type: 'spki',
+      format: 'pem'
+    },
+    privateKeyEncoding: {
+      type: 'pkcs8',
+      format: 'pem'
+    }
+  })
+}
@@ -6,6 +6,7 @@ module.exports = {
   getCollection,
   getInbox,
   getOutbox,
+  getSharedInbox,
   getFollowers,
   getFollowing,
   getLiked,
@@ -44,9 +45,11 @@ async function buildCollectionPage (collectionId, page, isOrdered, lastItemId) {
  * @param  {function} [remapper]
  * @param  {boolean} [includePrivate]
  * @param  {string[]} [blockList]
- * @param  {object[]} [query] - additional filtering/aggregation passed through to store.getStream
+ * @param  {object} [query] - query description passed through to store.getStream to filter items,
+ *   e.g. { type: 'Arrive' }. See store/query.js for supported operators
+ * @param  {string} [viewerId] - requesting actor, who can also see non-public items addressed to them
  */
-async function getCollection (collectionId, page, remapper, includePrivate, blockList, query) {
+async function getCollection (collectionId, page, remapper, includePrivate, blockList, query, viewerId) {
   collectionId = this.objectIdFromValue(collectionId)
   if (!page) {
     // if page isn't specified, just collection description is served
@@ -71,8 +74,21 @@ async function getCollection (collectionId, page, remapper, includePrivate, bloc
     // you can pass large blocks of filtered activities
     stream[stream.length - 1]?._id
   )
+  const domainPolicy = await this.getDomainPolicyMatcher(stream.map(act => this.objectIdFromValue(act.actor?.[0])))
+  stream = stream.filter(act => {
+    const { severity } = domainPolicy(this.objectIdFromValue(act.actor?.[0]))
+    // silenced domains are only excluded from public views
+    return severity !== 'suspend' && (includePrivate || severity !== 'silence')
+  }).map(act => {
+    return domainPolicy(this.objectIdFromValue(act.actor?.[0])).rejectMedia ? this.stripMedia(act) : act
+  })
   if (!includePrivate) {
-    stream = stream.filter(act => this.isPublic(act))
+    // non-public items are visible to actors they are addressed to
+    const memberships = new Map()
+    const visible = await Promise.all(stream.map(act => {
+      return this.isPublic(act) || (!!viewerId && this.isRecipient(act, viewerId, memberships))
+    }))
+    stream = stream.filter((act, i) => visible[i])
   }
   if (remapper) {
     stream = stream.map(remapper)
@@ -85,8 +101,18 @@ function getInbox (actor, page, includePrivate) {
   return this.getCollection(actor.inbox[0], page, null, includePrivate, actor._local.blockList)
 }
 
-function getOutbox (actor, page, includePrivate) {
-  return this.getCollection(actor.outbox[0], page, null, includePrivate)
+function getOutbox (actor, page, includePrivate, viewerId) {
+  return this.getCollection(actor.outbox[0], page, null, includePrivate, null, null, viewerId)
+}
+
+/**
+ * Get the instance-wide stream of public activities received by local actors,
+ * served at the sharedInbox endpoint
+ * @param  {string | Infinity} [page]
+ * @param  {object} [actor] - viewing actor with _local.blockList, whose blocked actors are excluded
+ */
+function getSharedInbox (page, actor) {
+  return this.getCollection(this.settings.endpoints.sharedInbox, page, null, false, actor?._local.blockList)
 }
 
 function getFollowers (actor, page, includePrivate) {
@@ -97,21 +123,21 @@ function getFollowing (actor, page, includePrivate) {
   return this.getCollection(actor.following[0], page, this.objectIdFromActivity, includePrivate)
 }
 
-function getLiked (actor, page, includePrivate) {
-  return this.getCollection(actor.liked[0], page, objectFromActivity, includePrivate)
+function getLiked (actor, page, includePrivate, viewerId) {
+  return this.getCollection(actor.liked[0], page, objectFromActivity, includePrivate, null, null, viewerId)
 }
 
-function getShares (object, page, includePrivate) {
-  return this.getCollection(object.shares[0], page, null, includePrivate)
+function getShares (object, page, includePrivate, viewerId) {
+  return this.getCollection(object.shares[0], page, null, includePrivate, null, null, viewerId)
 }
 
-function getLikes (object, page, includePrivate) {
-  return this.getCollection(object.likes[0], page, null, includePrivate)
+function getLikes (object, page, includePrivate, viewerId) {
+  return this.getCollection(object.likes[0], page, null, includePrivate, null, null, viewerId)
 }
 
-function getAdded (actor, colId, page, includePrivate) {
+function getAdded (actor, colId, page, includePrivate, viewerId) {
   const collectionIRI = this.utils.userCollectionIdToIRI(actor.preferredUsername, colId)
-  return this.getCollection(collectionIRI, page, null, includePrivate)
+  return this.getCollection(collectionIRI, page, null, includePrivate, null, null, viewerId)
 }
 
 function getBlocked (actor, page, includePrivate) {
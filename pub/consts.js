@@ -1,7 +1,14 @@
 module.exports = {
   ASContext: [
     'https://www.w3.org/ns/activitystreams',
-    'https://w3id.org/security/v1'
+    'https://w3id.org/security/v1',
+    // FEP-521a actor keys, not defined in security/v1
+    {
+      assertionMethod: { '@id': 'sec:assertionMethod', '@type': '@id', '@container': '@set' },
+      Multikey: 'sec:Multikey',
+      controller: { '@id': 'sec:controller', '@type': '@id' },
+      publicKeyMultibase: { '@id': 'sec:publicKeyMultibase', '@type': 'sec:multibase' }
+    }
   ],
   formUrlType: 'application/x-www-form-urlencoded',
   jsonldTypes: [
@@ -14,5 +21,10 @@ module.exports = {
   // type-is is not able to match this pattern
   jsonldOutgoingType: 'application/ld+json; profile="https://www.w3.org/ns/activitystreams"',
   // since we use json-ld procedding, it will always appear this way regardless of input format
-  publicAddress: 'as:Public'
+  publicAddress: 'as:Public',
+  // delivery queue lanes, lower values are sent first
+  deliveryPriority: {
+    interactive: 0,
+    bulk: 1
+  }
 }
@@ -0,0 +1,71 @@
+'use strict'
+
+// delivery queue administration
+module.exports = {
+  getDeliveries,
+  getDeliveryStats,
+  purgeDeliveries,
+  retryDeliveries
+}
+
+/**
+ * List queued or dead-letter (failed after all retries) deliveries
+ * @param  {object} [filter]
+ * @param  {boolean} [filter.dead] - list dead-letter deliveries instead of queued deliveries
+ * @param  {string} [filter.actorId] - sending actor
+ * @param  {string} [filter.host] - receiving host
+ * @param  {string} [filter._id] - single delivery
+ * @param  {number} [limit]
+ * @returns {Promise<object[]>} deliveries, without signing keys
+ */
+function getDeliveries (filter, limit) {
+  return this.store.deliveryList(deliveryFilter(filter), limit)
+}
+
+/**
+ * Count queued and dead-letter deliveries
+ * @param  {object} [filter] - as for getDeliveries (`dead` is ignored)
+ * @returns {Promise<object>} `{ queued, dead }`
+ */
+async function getDeliveryStats (filter) {
+  filter = deliveryFilter(filter)
+  const [queued, dead] = await Promise.all([
+    this.store.deliveryCount({ ...filter, dead: false }),
+    this.store.deliveryCount({ ...filter, dead: true })
+  ])
+  return { queued, dead }
+}
+
+/**
+ * Return dead-letter deliveries to the queue for another round of attempts
+ * @param  {object} [filter] - as for getDeliveries (`dead` is ignored)
+ * @returns {Promise<number>} number of deliveries requeued
+ */
+async function retryDeliveries (filter) {
+  const count = await this.store.deliveryRetry(deliveryFilter(filter))
+  if (count) {
+    this.startDelivery()
+  }
+  return count
+}
+
+/**
+ * Remove queued or dead-letter deliveries
+ * @param  {object} [filter] - as for getDeliveries
+ * @returns {Promise<number>} number of deliveries removed
+ */
+function purgeDeliveries (filter) {
+  return this.store.deliveryPurge(deliveryFilter(filter))
+}
+
+// drop unset properties so stores don't have to distinguish undefined from absent
+function deliveryFilter (filter = {}) {
+  const result = {}
+  for (const prop of ['actorId', 'host', '_id']) {
+    if (filter[prop] !== undefined && filter[prop] !== null) {
+      result[prop] = filter[prop]
+    }
+  }
+  result.dead = !!filter.dead
+  return result
+}
@@ -0,0 +1,136 @@
+'use strict'
+
+// instance-wide moderation policies for remote domains
+module.exports = {
+  getDomainPolicies,
+  getDomainPolicy,
+  getDomainPolicyMatcher,
+  removeDomainPolicy,
+  setDomainPolicy,
+  stripMedia
+}
+
+const severities = ['suspend', 'silence']
+const mediaProps = ['attachment', 'icon', 'image']
+
+/**
+ * List the stored domain policies
+ * @returns {Promise<object[]>}
+ */
+function getDomainPolicies () {
+  return this.store.getDomainPolicies()
+}
+
+/**
+ * Set the moderation policy for a remote domain and its subdomains
+ * @param  {string} domain
+ * @param  {object} policy
+ * @param  {string} [policy.severity] - 'suspend' to reject all traffic and never fetch from
+ *   or deliver to the domain, 'silence' to exclude it from public collections
+ * @param  {boolean} [policy.rejectMedia] - remove attachments, icons, and images from its objects
+ * @param  {boolean} [policy.allow] - federate with the domain in allowlist mode
+ * @param  {string} [policy.comment] - moderator note
+ * @returns {Promise<object>} saved policy record
+ */
+async function setDomainPolicy (domain, { severity = null, rejectMedia = false, allow = false, comment = null } = {}) {
+  domain = normalizeDomain(domain)
+  if (severity !== null && !severities.includes(severity)) {
+    throw new Error(`Invalid domain policy severity ${severity}`)
+  }
+  const record = { domain, severity, rejectMedia: !!rejectMedia, allow: !!allow, comment, updated: new Date() }
+  await this.store.saveDomainPolicy(record)
+  return record
+}
+
+/**
+ * @param  {string} domain
+ * @returns {Promise<boolean>} true if a policy was removed
+ */
+function removeDomainPolicy (domain) {
+  return this.store.removeDomainPolicy(normalizeDomain(domain))
+}
+
+/**
+ * Get the policy that applies to an IRI or host, from the most specific matching domain policy
+ * and the federation mode
+ * @param  {string} iri - IRI or host
+ * @returns {Promise<object>} `{ domain, severity, rejectMedia }`, where severity is 'suspend', 'silence', or null
+ */
+async function getDomainPolicy (iri) {
+  const domains = parentDomains(this, hostname(iri))
+  const records = domains.length ? await this.store.getDomainPolicies(domains) : []
+  return effectivePolicy(this, records, iri)
+}
+
+/**
+ * Load the domain policies that apply to many IRIs for checking them at once
+ * @param  {string[]} iris - IRIs or hosts to be checked
+ * @returns {Promise<function>} function of one of the IRIs returning its policy, as for getDomainPolicy
+ */
+async function getDomainPolicyMatcher (iris) {
+  const domains = new Set()
+  iris.forEach(iri => parentDomains(this, hostname(iri)).forEach(domain => domains.add(domain)))
+  const records = domains.size ? await this.store.getDomainPolicies(Array.from(domains)) : []
+  return iri => effectivePolicy(this, records, iri)
+}
+
+/**
+ * Remove media from an object and its embedded objects, for domains with rejectMedia
+ * @param  {object} object
+ * @returns {object} copy of the object
+ */
+function stripMedia (object) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    return object
+  }
+  const stripped = { ...object }
+  mediaProps.forEach(prop => delete stripped[prop])
+  if (Array.isArray(stripped.object)) {
+    stripped.object = stripped.object.map(item => this.stripMedia(item))
+  }
+  return stripped
+}
+
+function effectivePolicy (apex, records, iri) {
+  const host = hostname(iri)
+  const domains = parentDomains(apex, host)
+  // most specific first
+  const matches = domains
+    .map(domain => records.find(record => record.domain === domain))
+    .filter(record => record)
+  const record = matches.find(record => record.severity || record.rejectMedia)
+  let severity = record?.severity ?? null
+  if (apex.federationMode === 'allowlist' && domains.length && !matches.some(record => record.allow)) {
+    severity = 'suspend'
+  }
+  return {
+    domain: record?.domain ?? host,
+    severity,
+    rejectMedia: severity === 'suspend' || !!record?.rejectMedia
+  }
+}
+
+function hostname (iri) {
+  try {
+    return new URL(iri.includes('://') ? iri : `https://${iri}`).hostname
+  } catch (err) {
+    return null
+  }
+}
+
+// the host and each domain it is a subdomain of, no policies apply to the local domain
+function parentDomains (apex, host) {
+  if (!host || host === hostname(apex.baseUrl)) {
+    return []
+  }
+  const labels = host.split('.')
+  return labels.map((label, i) => labels.slice(i).join('.'))
+}
+
+function normalizeDomain (domain) {
+  const host = typeof domain === 'string' && hostname(domain.trim())
+  if (!host) {
+    throw new Error(`Invalid domain ${domain}`)
+  }
+  return host
+}
@@ -5,46 +5,64 @@ const crypto = require('crypto')
 // federation communication utilities
 module.exports = {
   deliver,
+  deliverLocal,
+  deliveryPriority,
   queueForDelivery,
   requestObject,
   resolveReferences,
   runDelivery,
   startDelivery,
-  makeUserAgentString
+  makeUserAgentString,
+  pruneHostFollowers,
+  recordHostFailure,
+  recordHostRecovery
 }
-const maxTimeout = Math.pow(2, 31) - 1
-let isDelivering = false
-let nextDelivery = null
 
-function requestObject (id) {
+/**
+ * Fetch an object from its server, signed by the system user if there is one
+ * @param  {string} id
+ * @param  {object} [signer] - local actor with meta to sign the request as instead of the system user
+ * @param  {boolean} [includeHeaders] - resolve to `{ object, headers }` with the response headers
+ * @returns {Promise<object>}
+ */
+async function requestObject (id, signer = this.systemUser, includeHeaders) {
   if (this.isProductionEnv() && this.isLocalhostIRI(id)) {
     return null
   }
-  const req = {
+  const policy = await this.getDomainPolicy(id)
+  if (policy.severity === 'suspend') {
+    throw new Error(`Not fetching ${id}, ${policy.domain} is suspended`)
+  }
+  const options = () => ({
     url: id,
     headers: {
       Accept: 'application/activity+json',
       'User-Agent': this.makeUserAgentString()
     },
     json: true,
-    timeout: this.requestTimeout
-  }
-  if (this.systemUser) {
-    req.httpSignature = {
-      key: this.systemUser._meta.privateKey,
-      keyId: this.systemUser.id,
-      headers: ['(request-target)', 'host', 'date'],
-      authorizationHeaderName: 'Signature'
-    }
+    timeout: this.requestTimeout,
+    resolveWithFullResponse: true,
+    httpModules: this.requestGuard.httpModules
+  })
+  const response = signer
+    ? await requestSigned(this, options, signer._meta.privateKey, signer.id)
+    : await request(options())
+  let object = await this.fromJSONLD(response.body)
+  // a server may only serve its own objects
+  if (object?.id && !this.validateOrigin(object, id)) {
+    throw new Error(`Origin of ${object.id} does not match ${id}`)
+  }
+  if (policy.rejectMedia) {
+    object = this.stripMedia(object)
   }
-  return request(req).then(this.fromJSONLD)
+  return includeHeaders ? { object, headers: response.headers } : object
 }
 
 const refProps = ['inReplyTo', 'object', 'target', 'tag']
 async function resolveReferences (object, depth = 0) {
   const objectPromises = refProps.map(prop => object[prop])
     .flat() // may have multiple tags to resolve
-    .map(o => this.resolveUnknown(o))
+    .map(o => this.resolveUnknown(o, object.id))
     .filter(p => p)
   const objects = (await Promise.allSettled(objectPromises))
     .filter(r => r.status === 'fulfilled' && r.value)
@@ -64,83 +82,397 @@ function deliver (actorId, activity, address, signingKey) {
   if (this.isProductionEnv() && this.isLocalhostIRI(address)) {
     return null
   }
-  // digest header added for Mastodon 3.2.1 compatibility
-  const digest = crypto.createHash('sha256')
-    .update(activity)
-    .digest('base64')
-  return request({
+  const options = () => ({
     method: 'POST',
     url: address,
     headers: {
       'Content-Type': this.consts.jsonldOutgoingType,
-      Digest: `SHA-256=${digest}`,
       'User-Agent': this.makeUserAgentString()
     },
-    httpSignature: {
-      key: signingKey,
-      keyId: actorId,
-      headers: ['(request-target)', 'host', 'date', 'digest'],
-      authorizationHeaderName: 'Signature'
-    },
     resolveWithFullResponse: true,
     simple: false,
     timeout: this.requestTimeout,
+    httpModules: this.requestGuard.httpModules,
     body: activity
   })
+  return requestSigned(this, options, signingKey, actorId)
+}
+
+/**
+ * Send a signed request, using an RFC 9421 signature if the host is known to support it.
+ * If that is refused (double-knocking), retry with a draft-cavage signature
+ * and remember to use it for the host if it is accepted
+ * @param  {object} apex
+ * @param  {function} options - returns new request options for each attempt
+ * @param  {string} key - private key PEM
+ * @param  {string} keyId
+ * @returns {Promise} request result
+ */
+async function requestSigned (apex, options, key, keyId) {
+  const opts = options()
+  const host = new URL(opts.url).host
+  if (await apex.store.getSignatureFormat(host) !== 'rfc9421') {
+    return request(signRequestOptions(apex, opts, 'cavage', key, keyId))
+  }
+  try {
+    const result = await request(signRequestOptions(apex, opts, 'rfc9421', key, keyId))
+    // full response when not rejecting error statuses
+    if (result?.statusCode !== 401) {
+      return result
+    }
+  } catch (err) {
+    if (err.statusCode !== 401) {
+      throw err
+    }
+  }
+  apex.logger.info(`RFC 9421 signature refused by ${host}, retrying with draft-cavage signature`)
+  const fallback = await request(signRequestOptions(apex, options(), 'cavage', key, keyId))
+  if (!(fallback?.statusCode >= 400)) {
+    await apex.store.saveSignatureFormat(host, 'cavage')
+  }
+  return fallback
+}
+
+function signRequestOptions (apex, opts, format, key, keyId) {
+  if (format === 'rfc9421') {
+    apex.signHttpMessage({
+      method: opts.method ?? 'GET',
+      url: opts.url,
+      headers: opts.headers,
+      body: opts.body
+    }, key, keyId)
+    return opts
+  }
+  const headers = ['(request-target)', 'host', 'date']
+  if (opts.body !== undefined) {
+    // digest header added for Mastodon 3.2.1 compatibility
+    const digest = crypto.createHash('sha256')
+      .update(opts.body)
+      .digest('base64')
+    opts.headers.Digest = `SHA-256=${digest}`
+    headers.push('digest')
+  }
+  opts.httpSignature = {
+    key,
+    keyId,
+    headers,
+    authorizationHeaderName: 'Signature'
+  }
+  return opts
+}
+
+/**
+ * Deliver an activity to local actors by processing it as if it were posted to
+ * the shared inbox, without request signing, http requests, or the delivery queue
+ * @param  {object} actor - sending actor
+ * @param  {object} activity - activity as JSON-LD
+ * @param  {string[]} addresses - local inbox IRIs
+ */
+async function deliverLocal (actor, activity, addresses) {
+  const recipients = []
+  for (const address of addresses) {
+    const info = this.utils.iriToCollectionInfo(address)
+    const recipient = info?.name === 'inbox'
+      ? await this.store.getObject(this.utils.usernameToIRI(info.actor), true)
+      : null
+    if (recipient?.inbox?.[0] === address) {
+      recipients.push(recipient)
+    } else {
+      this.logger.warn(`Local delivery to ${address} skipped: not a local inbox`)
+    }
+  }
+  if (!recipients.length) {
+    return
+  }
+  // process the activity as the recipients would receive it
+  const rawBody = this.stringifyPublicJSONLD(activity)
+  const originalBody = JSON.parse(rawBody)
+  const body = await this.fromJSONLD(originalBody)
+  const req = {
+    // not tied to a request, events are emitted as for background deliveries
+    app: { locals: { apex: this }, emit: (eventName, message) => emitApexEvent(this, eventName, message) },
+    body,
+    rawBody
+  }
+  const res = {
+    locals: {
+      apex: { eventName: null, eventMessage: {}, postWork: [], sender: actor, recipients, originalBody }
+    }
+  }
+  const chain = [this.net.validators.activityObject, this.net.activity.sharedInboxFanOut]
+  for (const middleware of chain) {
+    await new Promise((resolve, reject) => {
+      middleware(req, res, err => err ? reject(err) : resolve())
+    })
+  }
+  const resLocal = res.locals.apex
+  if (resLocal.status !== 200) {
+    this.logger.warn(`Local delivery of ${body.id} rejected: ${resLocal.status} ${resLocal.statusMessage ?? ''}`)
+  }
+  // run in sequence as for post-response work of inbox requests
+  for (const task of resLocal.postWork) {
+    await task(res)
+  }
+}
+
+/**
+ * Delivery queue lane for an activity. Updates of collections (and of activities
+ * with embedded likes/shares collections) sent by publishUpdate are bulk so
+ * they don't delay interactive activities
+ * @param  {object} activity
+ * @returns {number} one of consts.deliveryPriority
+ */
+function deliveryPriority (activity) {
+  const { interactive, bulk } = this.consts.deliveryPriority
+  if (![].concat(activity.type).includes('Update')) {
+    return interactive
+  }
+  // may be compacted (outgoing) or internal format
+  const object = [].concat(activity.object)[0]
+  if (/Collection/.test([].concat(object?.type)[0]) || this.validateActivity(object) || this.isString(object?.actor)) {
+    return bulk
+  }
+  return interactive
 }
 
 async function queueForDelivery (actor, activity, addresses) {
   // custom stringify strips meta props
   const outgoingBody = this.stringifyPublicJSONLD(activity)
+  const priority = this.deliveryPriority(activity)
   await this.store
-    .deliveryEnqueue(actor.id, outgoingBody, addresses, actor._meta.privateKey)
+    .deliveryEnqueue(actor.id, outgoingBody, addresses, actor._meta.privateKey, priority)
   // returning promise makes first delivery complete during postWork (easier testing)
   return this.startDelivery()
 }
 
 function startDelivery () {
-  if (isDelivering || this.offlineMode) {
+  if (this.offlineMode) {
     return
   }
-  return this.runDelivery()
+  return this.delivery.wake()
 }
 
-async function runDelivery () {
-  isDelivering = true
-  const toDeliver = await this.store.deliveryDequeue()
-  if (!toDeliver) {
-    isDelivering = false
-    return
+// attempt a delivery claimed from the queue by the delivery worker
+async function runDelivery (delivery) {
+  const host = delivery.host ?? new URL(delivery.address).host
+  const policy = await this.getDomainPolicy(delivery.address)
+  if (policy.severity === 'suspend') {
+    // suspended after the delivery was queued
+    this.logger.info('delivery:', delivery.address, 'skipped, domain suspended')
+    await this.store.deliveryComplete(delivery)
+    return emitDeliveryEvent(this, 'apex-delivery-failed', delivery, {
+      attempt: delivery.attempt,
+      statusCode: null,
+      error: `${policy.domain} is suspended`,
+      deadLetter: false
+    })
   }
-  // only future-dated items left, resume then
-  if (toDeliver.waitUntil) {
-    const wait = Math.min(toDeliver.waitUntil.getTime() - Date.now(), maxTimeout)
-    nextDelivery = setTimeout(() => this.startDelivery(), wait)
-    isDelivering = false
-    return
+  const hostRecord = await this.store.getHost(host)
+  if (hostRecord?.unreachableSince) {
+    if (hostRecord.nextProbe > new Date()) {
+      // park until next probe without using up an attempt
+      return this.store.deliveryRequeue(delivery, hostRecord.nextProbe)
+    }
+    // this delivery probes the host, others wait for the result
+    const nextProbe = new Date(Date.now() + this.delivery.probeInterval)
+    if (!await this.store.updateHost(host, { nextProbe }, { nextProbe: hostRecord.nextProbe })) {
+      // another worker started a probe or the host recovered
+      const current = await this.store.getHost(host)
+      if (current?.unreachableSince) {
+        return this.store.deliveryRequeue(delivery, current.nextProbe)
+      }
+    }
   }
-  // if new delivery run starts while another is pending,
-  // it will add another timer when it finishes
-  clearTimeout(nextDelivery)
+  const attempt = delivery.attempt + 1
+  let statusCode = null
+  let retryAfter = null
+  let error = null
   try {
-    const { actorId, body, address, signingKey } = toDeliver
+    const { actorId, body, address, signingKey } = delivery
     const result = await this.deliver(actorId, body, address, signingKey)
+    statusCode = result.statusCode
+    retryAfter = parseRetryAfter(result.headers?.['retry-after'])
     this.logger.info('delivery:', address, result.statusCode)
-    if (result.statusCode >= 500) {
-      // 5xx errors will get requeued
-      throw new Error(`Request status ${result.statusCode}`)
+  } catch (err) {
+    if ((err.cause ?? err).code === 'ERR_PRIVATE_ADDRESS') {
+      // not a host failure and not worth retrying
+      error = (err.cause ?? err).message
+      this.logger.warn(`Delivery error ${error}, moving to dead letters`)
+      await this.store.deliveryFail(delivery, { statusCode, error }).catch(err => {
+        this.logger.error('Failed to move delivery to dead letters', err.message)
+      })
+      return emitDeliveryEvent(this, 'apex-delivery-failed', delivery, {
+        attempt,
+        statusCode,
+        error,
+        deadLetter: true
+      })
+    }
+    error = err.message
+  }
+  // no response or server error counts against the host, any other response means it is up
+  if (error || statusCode >= 500) {
+    const unreachable = await this.recordHostFailure(host, delivery.actorId)
+    if (unreachable) {
+      this.logger.warn(`Delivery error ${error ?? statusCode}, ${host} unreachable`)
+      await this.store.deliveryRequeue(delivery, unreachable.nextProbe)
+      return emitDeliveryEvent(this, 'apex-delivery-retry', delivery, {
+        attempt,
+        statusCode,
+        error: error ?? `Request status ${statusCode}`,
+        retryAt: unreachable.nextProbe
+      })
+    }
+  } else if (hostRecord) {
+    await this.recordHostRecovery(hostRecord)
+  }
+  if (!error && !this.delivery.isTransient(statusCode)) {
+    await this.store.deliveryComplete(delivery).catch(err => {
+      this.logger.error('Failed to complete delivery', err.message)
+    })
+    if (statusCode < 400) {
+      return emitDeliveryEvent(this, 'apex-delivery-success', delivery, { attempt, statusCode })
     }
+    // rejected by receiving server, not worth retrying
+    return emitDeliveryEvent(this, 'apex-delivery-failed', delivery, {
+      attempt,
+      statusCode,
+      error: `Request status ${statusCode}`,
+      deadLetter: false
+    })
+  }
+  error = error ?? `Request status ${statusCode}`
+  const retryAt = this.delivery.retryTime(delivery, retryAfter)
+  if (!retryAt) {
+    this.logger.warn(`Delivery error ${error}, moving to dead letters`)
+    await this.store.deliveryFail(delivery, { statusCode, error }).catch(err => {
+      this.logger.error('Failed to move delivery to dead letters', err.message)
+    })
+    return emitDeliveryEvent(this, 'apex-delivery-failed', delivery, {
+      attempt,
+      statusCode,
+      error,
+      deadLetter: true
+    })
+  }
+  this.logger.warn(`Delivery error ${error}, requeuing`)
+  delivery.attempt++
+  await this.store.deliveryRequeue(delivery, retryAt).catch(err => {
+    this.logger.error('Failed to requeue delivery', err.message)
+  })
+  emitDeliveryEvent(this, 'apex-delivery-retry', delivery, { attempt, statusCode, error, retryAt })
+}
+
+// delivery outcome events for app code, sent after the queue is updated
+function emitDeliveryEvent (apex, eventName, delivery, outcome) {
+  let activityId = null
+  try {
+    activityId = JSON.parse(delivery.body).id ?? null
   } catch (err) {
-    this.logger.warn(`Delivery error ${err.message}, requeuing`)
-    // 11 tries over ~5 months
-    if (toDeliver.attempt < 11) {
-      await this.store.deliveryRequeue(toDeliver).catch(err => {
-        this.logger.error('Failed to requeue delivery', err.message)
+    // custom delivery body
+  }
+  emitApexEvent(apex, eventName, {
+    activityId,
+    actorId: delivery.actorId,
+    inbox: delivery.address,
+    host: delivery.host ?? new URL(delivery.address).host,
+    ...outcome
+  })
+}
+
+// events not tied to a request go to apex.events from startup, and also to the app once apex has handled a request
+function emitApexEvent (apex, eventName, message) {
+  apex.events.emit(eventName, message)
+  apex.app?.emit(eventName, message)
+}
+
+// Retry-After header as a Date, from either delay-seconds or an HTTP-date
+function parseRetryAfter (value) {
+  if (!value) {
+    return null
+  }
+  if (/^\d+$/.test(value)) {
+    return new Date(Date.now() + Number(value) * 1000)
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : new Date(date)
+}
+
+/**
+ * Track failed delivery to a host. Hosts are marked unreachable once they
+ * have been failing for longer than the delivery worker's unreachableAfter
+ * @param  {string} host
+ * @param  {string} actorId - local actor whose delivery failed
+ * @returns {Promise<object>} host record if the host is unreachable, otherwise null
+ */
+async function recordHostFailure (host, actorId) {
+  const { unreachableAfter, probeInterval, pruneFollowersAfter } = this.delivery
+  const now = new Date()
+  let record = await this.store.saveHostFailure(host, actorId, now)
+  if (!record.unreachableSince && now - record.firstFailure >= unreachableAfter) {
+    const nextProbe = new Date(now.getTime() + probeInterval)
+    // only the first worker to find the host down parks its deliveries
+    if (await this.store.updateHost(host, { unreachableSince: now, nextProbe }, { unreachableSince: null })) {
+      record = { ...record, unreachableSince: now, nextProbe }
+      await this.store.deliveryRescheduleHost(host, nextProbe)
+      emitApexEvent(this, 'apex-host-unreachable', {
+        host,
+        failures: record.failures,
+        firstFailure: record.firstFailure
       })
+    } else {
+      record = await this.store.getHost(host)
+    }
+  }
+  if (!record?.unreachableSince) {
+    return null
+  }
+  if (pruneFollowersAfter && !record.prunedAt && now - record.unreachableSince >= pruneFollowersAfter) {
+    await this.pruneHostFollowers(record)
+  }
+  return record
+}
+
+// successful delivery clears failure history and resumes any parked deliveries
+async function recordHostRecovery (record) {
+  // other deliveries that succeed at the same time find it already removed
+  const removed = await this.store.removeHost(record.host)
+  if (removed && record.unreachableSince) {
+    await this.store.deliveryRescheduleHost(record.host, new Date())
+    emitApexEvent(this, 'apex-host-recovered', {
+      host: record.host,
+      unreachableSince: record.unreachableSince
+    })
+  }
+}
+
+/**
+ * Remove followers on an unreachable host from the followers collections
+ * of local actors that have deliveries to it, and publish the updated collections
+ * @param  {object} record - host record from store
+ */
+async function pruneHostFollowers (record) {
+  const prunedAt = new Date()
+  if (!await this.store.updateHost(record.host, { prunedAt }, { prunedAt: null })) {
+    // already pruned by another worker
+    return
+  }
+  record.prunedAt = prunedAt
+  for (const actorId of record.actors) {
+    const actor = await this.store.getObject(actorId, true)
+    const followersId = actor?.followers?.[0]
+    if (!followersId) continue
+    const follows = (await this.store.getStream(followersId))
+      .filter(follow => follow.actor.some(follower => {
+        return new URL(follower.id).host === record.host
+      }))
+    if (!follows.length) continue
+    for (const follow of follows) {
+      await this.store.updateActivityMeta(follow, 'collection', followersId, true)
     }
-    // TODO: consider tracking unreachable servers, removing followers
+    this.logger.info(`Removed ${follows.length} followers on ${record.host} from ${actorId}`)
+    await this.publishUpdate(actor, await this.getCollection(followersId))
   }
-  setTimeout(() => this.runDelivery(), 0)
 }
 
 function makeUserAgentString () {
@@ -0,0 +1,205 @@
+'use strict'
+const crypto = require('crypto')
+
+// RFC 9421 HTTP Message Signatures. The older draft-cavage
+// Signature header is handled by the http-signature library
+module.exports = {
+  parseHttpMessageSignature,
+  signHttpMessage
+}
+
+const algorithms = {
+  'rsa-v1_5-sha256': { hash: 'sha256', keyType: 'rsa' },
+  'rsa-pss-sha512': {
+    hash: 'sha512',
+    keyType: 'rsa',
+    options: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 }
+  },
+  'ecdsa-p256-sha256': { hash: 'sha256', keyType: 'ec', options: { dsaEncoding: 'ieee-p1363' } },
+  'ecdsa-p384-sha384': { hash: 'sha384', keyType: 'ec', options: { dsaEncoding: 'ieee-p1363' } },
+  ed25519: { hash: null, keyType: 'ed25519' }
+}
+
+/**
+ * Sign a request with an RFC 9421 HTTP Message Signature covering the method,
+ * target URI, and, if there is a body, its Content-Digest
+ * @param  {object} message - request `method` and `url`, optional `body` string, and
+ *   `headers` object that the Signature-Input, Signature, and Content-Digest headers are added to
+ * @param  {string} key - private key PEM
+ * @param  {string} keyId
+ * @returns {object} message headers
+ */
+function signHttpMessage (message, key, keyId) {
+  const headers = message.headers
+  const values = {
+    '@method': message.method.toUpperCase(),
+    '@target-uri': new URL(message.url).href
+  }
+  if (message.body !== undefined) {
+    const digest = crypto.createHash('sha256').update(message.body).digest('base64')
+    values['content-digest'] = headers['Content-Digest'] = `sha-256=:${digest}:`
+  }
+  const privateKey = crypto.createPrivateKey(key)
+  const alg = defaultAlgorithm(privateKey)
+  const components = Object.keys(values)
+  const created = Math.floor(Date.now() / 1000)
+  const params = `(${components.map(name => `"${name}"`).join(' ')});created=${created};keyid="${keyId}";alg="${alg}"`
+  const base = signatureBase(components.map(name => [name, values[name]]), params)
+  const signature = crypto.sign(algorithms[alg].hash, Buffer.from(base), {
+    key: privateKey,
+    ...algorithms[alg].options
+  })
+  headers['Signature-Input'] = `sig1=${params}`
+  headers.Signature = `sig1=:${signature.toString('base64')}:`
+  return headers
+}
+
+/**
+ * Parse the RFC 9421 signature of an incoming request
+ * @param  {object} req - express request with Signature-Input and Signature headers
+ * @returns {object} signature with `keyId`, covered `components`, `created` and `expires` Dates,
+ *   signature `value`, and `verify` function of a public key PEM
+ * @throws {Error} if the signature headers are malformed or use unsupported components
+ */
+function parseHttpMessageSignature (req) {
+  const inputs = parseDictionary(req.get('signature-input'))
+  const signatures = parseDictionary(req.get('signature') ?? '')
+  // verify the first signature, others may be from intermediaries
+  const label = [...inputs.keys()].find(label => signatures.has(label))
+  if (!label) {
+    throw new Error('No signature matches Signature-Input')
+  }
+  const input = inputs.get(label)
+  const inputMatch = /^\(([^)]*)\)(.*)$/.exec(input)
+  const signatureMatch = /^:([A-Za-z0-9+/=]+):$/.exec(signatures.get(label))
+  if (!inputMatch || !signatureMatch) {
+    throw new Error(`Malformed signature ${label}`)
+  }
+  const components = inputMatch[1].split(' ').filter(item => item).map(item => {
+    const name = /^"([a-z0-9@_.-]+)"$/.exec(item)?.[1]
+    if (!name) {
+      throw new Error(`Unsupported signature component ${item}`)
+    }
+    return name
+  })
+  const params = parseParams(inputMatch[2])
+  if (!params.keyid) {
+    throw new Error(`Signature ${label} is missing keyid`)
+  }
+  // as seen by the sender, which may differ from the request behind a reverse proxy
+  const url = new URL(req.originalUrl, this.baseUrl)
+  const base = signatureBase(components.map(name => [name, componentValue(req, url, name)]), input)
+  const value = signatureMatch[1]
+  return {
+    format: 'rfc9421',
+    keyId: params.keyid,
+    components,
+    created: params.created !== undefined ? new Date(params.created * 1000) : undefined,
+    expires: params.expires !== undefined ? new Date(params.expires * 1000) : undefined,
+    value,
+    verify (publicKeyPem) {
+      const key = crypto.createPublicKey(publicKeyPem)
+      const algorithm = algorithms[params.alg ?? defaultAlgorithm(key)]
+      if (algorithm?.keyType !== key.asymmetricKeyType) {
+        return false
+      }
+      return crypto.verify(
+        algorithm.hash,
+        Buffer.from(base),
+        { key, ...algorithm.options },
+        Buffer.from(value, 'base64')
+      )
+    }
+  }
+}
+
+function defaultAlgorithm (key) {
+  switch (key.asymmetricKeyType) {
+    case 'ed25519':
+      return 'ed25519'
+    case 'ec':
+      return key.asymmetricKeyDetails?.namedCurve === 'secp384r1' ? 'ecdsa-p384-sha384' : 'ecdsa-p256-sha256'
+    default:
+      return 'rsa-v1_5-sha256'
+  }
+}
+
+function signatureBase (components, params) {
+  return components
+    .map(([name, value]) => `"${name}": ${value}`)
+    .concat(`"@signature-params": ${params}`)
+    .join('\n')
+}
+
+function componentValue (req, url, name) {
+  switch (name) {
+    case '@method':
+      return req.method.toUpperCase()
+    case '@target-uri':
+      return url.href
+    case '@authority':
+      return url.host
+    case '@scheme':
+      return url.protocol.slice(0, -1)
+    case '@request-target':
+      return `${url.pathname}${url.search}`
+    case '@path':
+      return url.pathname
+    case '@query':
+      return url.search || '?'
+  }
+  if (name.startsWith('@')) {
+    throw new Error(`Unsupported signature component ${name}`)
+  }
+  const value = req.get(name)
+  if (value === undefined) {
+    throw new Error(`Signed header ${name} is missing`)
+  }
+  return value.trim()
+}
+
+// structured field dictionary as member name: serialized value
+function parseDictionary (header) {
+  const members = new Map()
+  let start = 0
+  let depth = 0
+  let quoted = false
+  for (let i = 0; i <= header.length; i++) {
+    const char = header[i]
+    if (quoted) {
+      if (char === '\\') {
+        i++
+      } else if (char === '"') {
+        quoted = false
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth--
+    } else if (i === header.length || (char === ',' && !depth)) {
+      const member = header.slice(start, i).trim()
+      const separator = member.indexOf('=')
+      if (separator > 0) {
+        members.set(member.slice(0, separator), member.slice(separator + 1))
+      }
+      start = i + 1
+    }
+  }
+  return members
+}
+
+// structured field parameters, e.g. ;created=1618884473;keyid="key"
+function parseParams (serialized) {
+  const params = {}
+  const pattern = /;\s*([a-z*][a-z0-9_.*-]*)(?:=(?:"((?:[^"\\]|\\.)*)"|([^;]*)))?/g
+  for (const [, key, quoted, bare] of serialized.matchAll(pattern)) {
+    if (quoted !== undefined) {
+      params[key] = quoted.replace(/\\(.)/g, '$1')
+    } else {
+      params[key] = bare === undefined ? true : Number(bare.trim())
+    }
+  }
+  return params
+}
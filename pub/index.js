@@ -5,8 +5,13 @@ module.exports = {
   ...require('./activity'),
   ...require('./actor'),
   ...require('./collection'),
+  ...require('./delivery'),
+  ...require('./domain-policy'),
   ...require('./federation'),
+  ...require('./http-signature'),
   ...require('./object'),
+  ...require('./proxy'),
+  ...require('./signature'),
   ...require('./utils'),
   ...require('./nodeinfo')
 }
@@ -0,0 +1,87 @@
+'use strict'
+const crypto = require('crypto')
+
+// multibase (base58btc) encoding for FEP-521a Multikey public keys and
+// Data Integrity proof values. Internal helpers, not part of the apex api
+module.exports = {
+  decodeBase58btc,
+  encodeBase58btc,
+  multikeyToPem,
+  pemToMultikey
+}
+
+const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+// multicodec ed25519-pub header
+const ed25519Header = Buffer.from([0xed, 0x01])
+// DER SubjectPublicKeyInfo prefix for a raw ed25519 public key
+const ed25519SpkiPrefix = Buffer.from('302a300506032b6570032100', 'hex')
+
+/**
+ * @param  {Buffer} bytes
+ * @returns {string} multibase string with 'z' prefix
+ */
+function encodeBase58btc (bytes) {
+  let value = BigInt(`0x${bytes.toString('hex') || '0'}`)
+  let encoded = ''
+  while (value > 0n) {
+    encoded = alphabet[Number(value % 58n)] + encoded
+    value /= 58n
+  }
+  // leading zero bytes are encoded as leading '1's
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    encoded = alphabet[0] + encoded
+  }
+  return `z${encoded}`
+}
+
+/**
+ * @param  {string} multibase - multibase string with 'z' prefix
+ * @returns {Buffer} decoded bytes, or null if not valid base58btc
+ */
+function decodeBase58btc (multibase) {
+  if (typeof multibase !== 'string' || !multibase.startsWith('z')) {
+    return null
+  }
+  const encoded = multibase.slice(1)
+  let value = 0n
+  for (const char of encoded) {
+    const digit = alphabet.indexOf(char)
+    if (digit === -1) {
+      return null
+    }
+    value = value * 58n + BigInt(digit)
+  }
+  let hex = value > 0n ? value.toString(16) : ''
+  if (hex.length % 2) {
+    hex = `0${hex}`
+  }
+  const zeros = encoded.match(/^1*/)[0].length
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')])
+}
+
+/**
+ * @param  {string} publicKeyPem - ed25519 public key
+ * @returns {string} Multikey publicKeyMultibase value
+ */
+function pemToMultikey (publicKeyPem) {
+  const raw = crypto.createPublicKey(publicKeyPem)
+    .export({ type: 'spki', format: 'der' })
+    .subarray(ed25519SpkiPrefix.length)
+  return encodeBase58btc(Buffer.concat([ed25519Header, raw]))
+}
+
+/**
+ * @param  {string} publicKeyMultibase - Multikey value
+ * @returns {string} public key PEM, or null if not an ed25519 Multikey
+ */
+function multikeyToPem (publicKeyMultibase) {
+  const bytes = decodeBase58btc(publicKeyMultibase)
+  if (bytes?.length !== 34 || !bytes.subarray(0, 2).equals(ed25519Header)) {
+    return null
+  }
+  return crypto.createPublicKey({
+    key: Buffer.concat([ed25519SpkiPrefix, bytes.subarray(2)]),
+    format: 'der',
+    type: 'spki'
+  }).export({ type: 'spki', format: 'pem' })
+}
@@ -36,13 +36,17 @@ async function resolveObject (id, includeMeta, refresh, localOnly) {
   return object
 }
 
-async function resolveUnknown (objectOrIRI) {
+async function resolveUnknown (objectOrIRI, origin) {
   let object
   if (!objectOrIRI) return null
   // For Link/Mention, we want to resolved the linked object
   if (objectOrIRI.href) {
     objectOrIRI = objectOrIRI.href[0]
   }
+  // objects embedded by a third party are resolved from their own origin instead
+  if (origin && this.validateObject(objectOrIRI) && !this.validateOrigin(objectOrIRI, origin)) {
+    objectOrIRI = objectOrIRI.id
+  }
   // check if already cached
   if (this.isString(objectOrIRI)) {
     object = await this.store.getActivity(objectOrIRI)
@@ -0,0 +1,86 @@
+'use strict'
+
+// proxyUrl endpoint support: fetching objects for local users' clients
+module.exports = {
+  resolveProxied
+}
+
+/**
+ * Get an object for a local user's proxyUrl request. Remote objects are fetched with a request signed
+ * as the user, so that objects addressed to them are available, and cached following the response's
+ * Cache-Control and Expires headers. Public responses are cached for all users, others only for the user.
+ * Public objects are also saved to the store, as other resolved objects are
+ * @param  {string} id
+ * @param  {object} user - local actor with meta
+ * @returns {Promise<object>} the object, or null if it is not found or not visible to the user
+ */
+async function resolveProxied (id, user) {
+  const iri = new URL(id)
+  // remove any hash from url
+  const url = `${iri.protocol}//${iri.host}${iri.pathname}${iri.search}`
+  if (this.isLocalIRI(url)) {
+    const object = await this.store.getActivity(url) ?? await this.store.getObject(url)
+    if (object && (this.isPublic(object) || this.validateOwner(object, user) || await this.isRecipient(object, user.id))) {
+      return object
+    }
+    return null
+  }
+  // checked for cached responses too, in case the policy changed since they were cached
+  const policy = await this.getDomainPolicy(url)
+  if (policy.severity === 'suspend') {
+    throw new Error(`Not fetching ${url}, ${policy.domain} is suspended`)
+  }
+  const cached = await this.store.getProxyResponse(url, user.id) ?? await this.store.getProxyResponse(url, null)
+  if (cached) {
+    return policy.rejectMedia ? this.stripMedia(cached.object) : cached.object
+  }
+  const { object, headers } = await this.requestObject(url, user, true) ?? {}
+  if (!object) {
+    return null
+  }
+  if (this.isPublic(object)) {
+    // ignored if already saved
+    this.validateActivity(object)
+      ? await this.store.saveActivity(object)
+      : await this.store.saveObject(object)
+  }
+  const cacheControl = parseCacheControl(headers['cache-control'])
+  const ttl = Math.min(freshnessLifetime(this, cacheControl, headers), this.proxyMaxCacheTtl)
+  if (ttl > 0 && !cacheControl['no-store']) {
+    await this.store.saveProxyResponse({
+      url,
+      viewer: this.isPublic(object) && !cacheControl.private ? null : user.id,
+      object,
+      expires: new Date(Date.now() + ttl)
+    })
+  }
+  return object
+}
+
+// ms the response may be reused for, from its max-age or Expires header, or the default
+function freshnessLifetime (apex, cacheControl, headers) {
+  if (cacheControl['no-cache']) {
+    return 0
+  }
+  if (cacheControl['max-age'] !== undefined) {
+    return (parseInt(cacheControl['max-age'], 10) || 0) * 1000
+  }
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires)
+    const date = Date.parse(headers.date) || Date.now()
+    // invalid dates are already expired
+    return Number.isNaN(expires) ? 0 : expires - date
+  }
+  return apex.proxyCacheTtl
+}
+
+function parseCacheControl (header = '') {
+  const directives = {}
+  header.split(',').forEach(directive => {
+    const [name, value] = directive.split('=')
+    if (name.trim()) {
+      directives[name.trim().toLowerCase()] = value?.trim().replace(/^"|"$/g, '') ?? true
+    }
+  })
+  return directives
+}
@@ -0,0 +1,38 @@
+'use strict'
+
+// fixed window request counters, kept in memory for each process.
+// Internal helpers, not part of the apex api
+module.exports = {
+  createRateLimiter
+}
+
+/**
+ * @param  {function} limits - returns the current `{ limit, window }`, requests allowed per window of ms
+ * @returns {object} with `take(key)`, which counts a request and returns 0 if it is allowed,
+ *   otherwise the ms until the key's window resets
+ */
+function createRateLimiter (limits) {
+  const windows = new Map()
+  return {
+    take (key) {
+      const { limit, window } = limits()
+      const now = Date.now()
+      let current = windows.get(key)
+      if (!current || current.reset <= now) {
+        // remove other expired windows as new ones start
+        for (const [other, { reset }] of windows) {
+          if (reset <= now) {
+            windows.delete(other)
+          }
+        }
+        current = { count: 0, reset: now + window }
+        windows.set(key, current)
+      }
+      if (current.count >= limit) {
+        return current.reset - now
+      }
+      current.count++
+      return 0
+    }
+  }
+}
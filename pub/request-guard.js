@@ -0,0 +1,170 @@
+'use strict'
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const request = require('request-promise-native')
+
+// server-side request forgery protection: outgoing requests may not connect to private,
+// loopback, link-local, or reserved addresses. Checked when connecting, after DNS
+// resolution, so hostnames that resolve to those addresses and redirects are covered.
+// Internal helpers, not part of the apex api
+module.exports = {
+  createRequestGuard,
+  isPrivateAddress
+}
+
+// separate lists, as IPv4 addresses also match IPv4-mapped IPv6 subnets.
+// IPv4-mapped IPv6 addresses are checked as the IPv4 address they contain
+const privateRanges = { ipv4: new net.BlockList(), ipv6: new net.BlockList() }
+;[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24], // documentation
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => privateRanges.ipv4.addSubnet(address, prefix, 'ipv4'))
+;[
+  ['::', 128], // unspecified
+  ['::1', 128],
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['fec0::', 10], // site-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => privateRanges.ipv6.addSubnet(address, prefix, 'ipv6'))
+
+/**
+ * @param  {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true if the address is in a private, loopback, link-local, or reserved range
+ */
+function isPrivateAddress (address) {
+  address = mappedIPv4(address) ?? address
+  const family = net.isIP(address)
+  if (!family) {
+    return false
+  }
+  const type = family === 6 ? 'ipv6' : 'ipv4'
+  return privateRanges[type].check(address, type)
+}
+
+/**
+ * Http modules and agents for outgoing requests that refuse to connect to private addresses
+ * other than those in apex.allowedPrivateAddresses
+ * @param  {object} apex
+ * @returns {object} `httpModules` for the request library and a jsonld `documentLoader`
+ *   that uses them
+ */
+function createRequestGuard (apex) {
+  const isAllowed = address => !isPrivateAddress(address) || isAllowlisted(apex.allowedPrivateAddresses, address)
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) {
+        return callback(err)
+      }
+      // all addresses must be allowed, as any of them may be used
+      const addresses = Array.isArray(address) ? address : [{ address, family }]
+      const refused = addresses.find(result => !isAllowed(result.address))
+      if (refused) {
+        return callback(refusedError(hostname, refused.address))
+      }
+      callback(null, address, family)
+    })
+  }
+  const guard = Agent => class GuardedAgent extends Agent {
+    createConnection (options, callback) {
+      // IP literals are not looked up
+      if (net.isIP(options.host) && !isAllowed(options.host)) {
+        return callback(refusedError(options.host, options.host))
+      }
+      return super.createConnection({ ...options, lookup }, callback)
+    }
+  }
+  const GuardedHttpAgent = guard(http.Agent)
+  const GuardedHttpsAgent = guard(https.Agent)
+  const httpAgent = new GuardedHttpAgent()
+  const httpsAgent = new GuardedHttpsAgent()
+  // request creates a new agent from the module when redirected to another protocol.
+  // Defined rather than assigned, as assigning globalAgent would call the module's setter
+  const guardModule = (module, Agent, globalAgent) => Object.create(module, {
+    Agent: { value: Agent },
+    globalAgent: { value: globalAgent }
+  })
+  const httpModules = {
+    'http:': guardModule(http, GuardedHttpAgent, httpAgent),
+    'https:': guardModule(https, GuardedHttpsAgent, httpsAgent)
+  }
+  // jsonld's node loader converts agents to undici dispatchers, which skip createConnection,
+  // so contexts are fetched with request instead
+  const documentLoader = async url => {
+    const response = await request({
+      url,
+      headers: {
+        Accept: 'application/ld+json, application/json',
+        'User-Agent': apex.makeUserAgentString()
+      },
+      json: true,
+      timeout: apex.requestTimeout,
+      resolveWithFullResponse: true,
+      httpModules
+    })
+    // final url after any redirects
+    return { contextUrl: null, documentUrl: response.request.uri.href, document: response.body }
+  }
+  return { httpModules, documentLoader }
+}
+
+// IPv4 address of an IPv4-mapped IPv6 address, e.g. 10.0.0.5 for ::ffff:10.0.0.5 or ::ffff:a00:5
+function mappedIPv4 (address) {
+  if (net.isIP(address) !== 6) {
+    return null
+  }
+  let hostname
+  try {
+    // serialized in compressed hexadecimal form
+    hostname = new URL(`http://[${address}]`).hostname
+  } catch (err) {
+    // e.g. with zone index
+    return null
+  }
+  const match = /^\[::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})\]$/.exec(hostname)
+  if (!match) {
+    return null
+  }
+  const [high, low] = match.slice(1).map(hex => parseInt(hex, 16))
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.')
+}
+
+// allowlist of addresses and CIDR subnets, e.g. ['127.0.0.1', '10.0.0.0/8']
+function isAllowlisted (allowlist, address) {
+  if (!allowlist?.length) {
+    return false
+  }
+  address = mappedIPv4(address) ?? address
+  const allowed = new net.BlockList()
+  allowlist.forEach(entry => {
+    const [subnet, prefix] = entry.split('/')
+    const type = net.isIP(subnet) === 6 ? 'ipv6' : 'ipv4'
+    prefix === undefined
+      ? allowed.addAddress(subnet, type)
+      : allowed.addSubnet(subnet, Number(prefix), type)
+  })
+  return allowed.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4')
+}
+
+function refusedError (hostname, address) {
+  const err = new Error(`Refusing to connect to ${hostname}, ${address} is a private address`)
+  err.code = 'ERR_PRIVATE_ADDRESS'
+  return err
+}
@@ -0,0 +1,161 @@
+'use strict'
+const crypto = require('crypto')
+const jsonld = require('jsonld')
+const { decodeBase58btc, encodeBase58btc } = require('./multibase')
+
+// Linked Data Signatures and Data Integrity proofs, used to authenticate
+// activities forwarded by other servers
+module.exports = {
+  signActivity,
+  verifyActivitySignature
+}
+
+const signatureType = 'RsaSignature2017'
+const proofType = 'DataIntegrityProof'
+const cryptosuite = 'eddsa-jcs-2022'
+
+/**
+ * Sign an activity so that servers it is forwarded to can verify its author. Actors
+ * with an Ed25519 assertionMethod key add a FEP-8b32 Data Integrity proof (eddsa-jcs-2022),
+ * others a Linked Data Signature (RsaSignature2017) with their main key. Only one is added,
+ * as each would invalidate the other. Private properties (bto, bcc) are removed first, as they
+ * are not delivered
+ * @param  {object} actor - signing actor with meta
+ * @param  {object} activity - activity as JSON-LD
+ * @returns {Promise<object>} public copy of the activity with signature or proof
+ */
+async function signActivity (actor, activity) {
+  activity = JSON.parse(this.stringifyPublicJSONLD(activity))
+  const assertionKey = actor.assertionMethod?.find(key => actor._meta.privateKeys?.[key.id])
+  if (assertionKey) {
+    const proof = {
+      type: proofType,
+      cryptosuite,
+      verificationMethod: assertionKey.id,
+      proofPurpose: 'assertionMethod',
+      created: timestamp()
+    }
+    const proofValue = crypto.sign(null, proofInput(proof, activity), actor._meta.privateKeys[assertionKey.id])
+    return { ...activity, proof: { ...proof, proofValue: encodeBase58btc(proofValue) } }
+  }
+  const options = {
+    type: signatureType,
+    creator: actor.publicKey[0].id,
+    created: timestamp()
+  }
+  const toBeSigned = await signatureInput(this, options, activity)
+  const signatureValue = crypto.createSign('sha256')
+    .update(toBeSigned)
+    .sign(actor._meta.privateKey, 'base64')
+  return { ...activity, signature: { ...options, signatureValue } }
+}
+
+/**
+ * Verify the Data Integrity proof or Linked Data Signature of an activity
+ * @param  {object} activity - activity as JSON-LD, as received
+ * @returns {Promise<object>} the signing actor if the proof or signature is valid, otherwise null
+ */
+async function verifyActivitySignature (activity) {
+  return await verifyProof(this, activity) ?? await verifySignature(this, activity)
+}
+
+async function verifyProof (apex, activity) {
+  const { proofValue, ...proof } = activity.proof ?? {}
+  if (proof.type !== proofType || proof.cryptosuite !== cryptosuite ||
+    proof.proofPurpose !== 'assertionMethod' || !proof.verificationMethod) {
+    return null
+  }
+  const signatureValue = decodeBase58btc(proofValue)
+  if (!signatureValue) {
+    return null
+  }
+  const { proof: _, ...document } = activity
+  const toBeVerified = proofInput(proof, document)
+  const validator = signer => {
+    const key = apex.findActorKey(signer, proof.verificationMethod)
+    // only keys listed as assertionMethod are valid for this proof purpose
+    return key?.id === proof.verificationMethod && key.assertion &&
+      crypto.verify(null, toBeVerified, key.publicKeyPem, signatureValue)
+  }
+  return verifyWithSigner(apex, proof.verificationMethod, validator)
+}
+
+async function verifySignature (apex, activity) {
+  const signature = activity.signature
+  if (signature?.type !== signatureType || !signature.creator || !signature.signatureValue) {
+    return null
+  }
+  const { type, id, signatureValue, ...options } = signature
+  const toBeVerified = await signatureInput(apex, options, activity)
+  const validator = signer => {
+    const key = apex.findActorKey(signer, signature.creator)
+    return !!key && crypto.createVerify('sha256')
+      .update(toBeVerified)
+      .verify(key.publicKeyPem, signatureValue, 'base64')
+  }
+  return verifyWithSigner(apex, signature.creator, validator)
+}
+
+async function verifyWithSigner (apex, keyId, validator) {
+  let signer = await apex.resolveObject(keyId)
+  if (!validator(signer) && !apex.isLocalIRI(keyId)) {
+    // try refreshing cached key in case of key rotation
+    signer = await apex.resolveObject(keyId, false, true)
+  }
+  return validator(signer) ? signer : null
+}
+
+// second precision, as used by other implementations
+function timestamp () {
+  return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
+
+// concatenated hashes of the canonical proof options and unsecured document
+function proofInput (proof, document) {
+  const options = document['@context'] ? { ...proof, '@context': document['@context'] } : proof
+  return Buffer.concat([
+    crypto.createHash('sha256').update(canonicalJSON(options)).digest(),
+    crypto.createHash('sha256').update(canonicalJSON(document)).digest()
+  ])
+}
+
+// RFC 8785 JSON Canonicalization Scheme
+function canonicalJSON (value) {
+  if (typeof value?.toJSON === 'function') {
+    // e.g. dates, serialized as in the activity body
+    value = value.toJSON()
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+    return `{${members.join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+// concatenated hashes of the signature options and the unsigned document
+async function signatureInput (apex, options, activity) {
+  const { signature, ...document } = activity
+  const hashes = await Promise.all([
+    // identity/v1 context used by other implementations has the same creator and created terms
+    canonicalHash(apex, { '@context': 'https://w3id.org/security/v1', ...options }),
+    canonicalHash(apex, document)
+  ])
+  return hashes.join('')
+}
+
+async function canonicalHash (apex, doc) {
+  const canonical = await jsonld.canonize(doc, {
+    algorithm: 'URDNA2015',
+    format: 'application/n-quads',
+    documentLoader: apex.jsonldContextLoader,
+    // match other implementations, which ignore undefined terms
+    safe: false
+  })
+  return crypto.createHash('sha256').update(canonical).digest('hex')
+}
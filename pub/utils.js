@@ -34,6 +34,7 @@ module.exports = {
   stringifyPublicJSONLD,
   validateActivity,
   validateObject,
+  validateOrigin,
   validateOwner,
   validateTarget
 }
@@ -339,6 +340,21 @@ function validateOwner (object, actor) {
   return false
 }
 
+// the object's id, actor, and attributedTo are on the same origin as the IRI,
+// e.g. the actor it was received from or the url it was fetched from
+function validateOrigin (object, iri) {
+  if (Array.isArray(object)) {
+    object = object[0]
+  }
+  const origin = originOf(iri)
+  if (!origin || !object?.id) {
+    return false
+  }
+  const ids = [object.id, ...(object.actor ?? []), ...(object.attributedTo ?? [])]
+    .map(value => this.objectIdFromValue(value))
+  return ids.every(id => originOf(id) === origin)
+}
+
 // Can be used to check activity.target instead of activity.object by specifying prop
 function validateTarget (object, targetId, prop = 'object') {
   if (Array.isArray(object)) {
@@ -368,8 +384,6 @@ const coreContexts = {
 }
 // cached JSONLD contexts to reduce requests an eliminate
 // failures caused when context servers are unavailable
-const nodeDocumentLoader = jsonld.documentLoaders.node()
-
 async function jsonldContextLoader (url, options) {
   if (coreContexts[url]) {
     return coreContexts[url]
@@ -382,12 +396,11 @@ async function jsonldContextLoader (url, options) {
   } catch (err) {
     this.logger.error('Error checking jsonld context cache', err.message)
   }
-  const context = await nodeDocumentLoader(url)
+  const context = await this.requestGuard.documentLoader(url)
   if (context && context.document) {
     try {
-      // save original url in case of redirects
-      context.documentUrl = url
-      await this.store.saveContext(context)
+      // cached by original url in case of redirects
+      await this.store.saveContext({ ...context, documentUrl: url })
     } catch (err) {
       this.logger.error('Error saving jsonld contact cache', err.message)
     }
@@ -396,6 +409,16 @@ async function jsonldContextLoader (url, options) {
 }
 
 // non-exported utils
+function originOf (iri) {
+  try {
+    const { origin } = new URL(iri)
+    // opaque origins, e.g. of urn: IRIs, are not comparable
+    return origin === 'null' ? null : origin
+  } catch (err) {
+    return null
+  }
+}
+
 // strip any _meta or private properties to keep jsonld valid and not leak private keys
 const privateActivityProps = ['bto', 'bcc']
 function skipPrivate (key, value) {
@@ -64,7 +64,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/followers/test',
             type: 'OrderedCollection',
             totalItems: 2,
@@ -82,7 +82,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/followers/test?page=true',
             type: 'OrderedCollectionPage',
             partOf: 'https://localhost/followers/test',
@@ -134,7 +134,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/following/test',
             type: 'OrderedCollection',
             totalItems: 2,
@@ -152,7 +152,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/following/test?page=true',
             type: 'OrderedCollectionPage',
             partOf: 'https://localhost/following/test',
@@ -201,7 +201,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/liked/test',
             type: 'OrderedCollection',
             totalItems: 3,
@@ -219,7 +219,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/liked/test?page=true',
             type: 'OrderedCollectionPage',
             partOf: 'https://localhost/liked/test',
@@ -416,7 +416,7 @@ describe('collections', function () {
         .set('Accept', 'application/activity+json')
         .expect(200)
       const standard = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: 'https://localhost/u/test/blocked',
         type: 'OrderedCollection',
         totalItems: 0,
@@ -432,7 +432,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/u/test/rejected',
             type: 'OrderedCollection',
             totalItems: 0,
@@ -450,7 +450,7 @@ describe('collections', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/u/test/rejections',
             type: 'OrderedCollection',
             totalItems: 0,
@@ -40,6 +40,7 @@ describe('combined inbox/outbox flows', function () {
         object: testUser.id
       })
     delete follow._meta
+    follow.id = 'https://mocked.com/s/follow'
     nock('https://mocked.com')
       .get('/u/mocked')
       .reply(200, { id: 'https://mocked.com/u/mocked', type: 'Actor', inbox: 'https://mocked.com/u/mocked/inbox' })
@@ -0,0 +1,111 @@
+/* global describe, beforeAll, beforeEach, it, expect */
+const request = require('supertest')
+
+describe('delivery admin', function () {
+  let testUser
+  let app
+  let apex
+  let client
+  beforeAll(async function () {
+    const init = await global.initApex()
+    testUser = init.testUser
+    app = init.app
+    apex = init.apex
+    client = init.client
+    app.route('/admin/deliveries')
+      .get(apex.net.deliveries.get)
+      .delete(apex.net.deliveries.delete)
+    app.post('/admin/deliveries/retry', apex.net.deliveryRetry.post)
+    app.get('/admin/deliveries/stats', apex.net.deliveryStats.get)
+  })
+  beforeEach(async function () {
+    await global.resetDb(apex, client, testUser)
+    // keep deliveries in the queue
+    apex.offlineMode = true
+    await apex.store.deliveryEnqueue(
+      testUser.id,
+      '{}',
+      ['https://ignore.com/bob/inbox', 'https://mocked.com/sally/inbox', 'https://ignore.com/sam/inbox'],
+      testUser._meta.privateKey
+    )
+    const failed = await apex.store.deliveryClaim('test', 60000)
+    await apex.store.deliveryFail(failed, { statusCode: 502, error: 'Request status 502' })
+  })
+  describe('get', function () {
+    it('lists queued deliveries', async function () {
+      const res = await request(app)
+        .get('/admin/deliveries')
+        .expect(200)
+      expect(res.body.map(delivery => delivery.address))
+        .toEqual(['https://mocked.com/sally/inbox', 'https://ignore.com/sam/inbox'])
+      expect(res.body[0].actorId).toBe(testUser.id)
+      expect(res.body[0].signingKey).toBeUndefined()
+    })
+    it('lists dead deliveries with failure details', async function () {
+      const res = await request(app)
+        .get('/admin/deliveries?state=dead')
+        .expect(200)
+      expect(res.body.length).toBe(1)
+      expect(res.body[0].address).toBe('https://ignore.com/bob/inbox')
+      expect(res.body[0].statusCode).toBe(502)
+      expect(res.body[0].error).toBe('Request status 502')
+      expect(res.body[0].failedAt).toBeDefined()
+    })
+    it('filters by actor, host, and id', async function () {
+      const [queued] = await apex.getDeliveries({ host: 'ignore.com' })
+      let res = await request(app)
+        .get('/admin/deliveries?host=mocked.com&limit=5')
+        .expect(200)
+      expect(res.body.map(delivery => delivery.address)).toEqual(['https://mocked.com/sally/inbox'])
+      res = await request(app)
+        .get(`/admin/deliveries?actor=${encodeURIComponent(testUser.id)}&id=${queued._id}`)
+        .expect(200)
+      expect(res.body.map(delivery => delivery.address)).toEqual(['https://ignore.com/sam/inbox'])
+      res = await request(app)
+        .get('/admin/deliveries?actor=https%3A%2F%2Flocalhost%2Fu%2Fnobody')
+        .expect(200)
+      expect(res.body).toEqual([])
+    })
+    it('rejects invalid filters', async function () {
+      await request(app)
+        .get('/admin/deliveries?state=sent')
+        .expect(400)
+      await request(app)
+        .get('/admin/deliveries?limit=0')
+        .expect(400)
+    })
+    it('reports queue depth', async function () {
+      await request(app)
+        .get('/admin/deliveries/stats')
+        .expect(200, { queued: 2, dead: 1 })
+      await request(app)
+        .get('/admin/deliveries/stats?host=mocked.com')
+        .expect(200, { queued: 1, dead: 0 })
+    })
+  })
+  describe('retry', function () {
+    it('returns dead deliveries to the queue', async function () {
+      await request(app)
+        .post('/admin/deliveries/retry?host=ignore.com')
+        .expect(200, { retried: 1 })
+      expect(await apex.getDeliveryStats()).toEqual({ queued: 3, dead: 0 })
+      const [retried] = await apex.getDeliveries({ host: 'ignore.com' })
+      expect(retried.address).toBe('https://ignore.com/bob/inbox')
+      expect(retried.attempt).toBe(0)
+    })
+  })
+  describe('delete', function () {
+    it('purges dead deliveries', async function () {
+      await request(app)
+        .delete('/admin/deliveries?state=dead')
+        .expect(200, { purged: 1 })
+      expect(await apex.getDeliveryStats()).toEqual({ queued: 2, dead: 0 })
+    })
+    it('purges queued deliveries', async function () {
+      await request(app)
+        .delete('/admin/deliveries?host=ignore.com')
+        .expect(200, { purged: 1 })
+      expect(await apex.getDeliveryStats()).toEqual({ queued: 1, dead: 1 })
+    })
+  })
+})
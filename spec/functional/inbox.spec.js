@@ -1,5 +1,6 @@
-/* global describe, beforeAll, beforeEach, afterAll, it, expect, spyOn */
+/* global describe, beforeAll, beforeEach, afterAll, afterEach, it, expect, spyOn */
 const crypto = require('crypto')
+const express = require('express')
 const httpSignature = require('http-signature')
 const request = require('supertest')
 const merge = require('deepmerge')
@@ -276,6 +277,38 @@ describe('inbox', function () {
         .expect(200)
       await requestValidated
     })
+    it('forwards from inbox as received', async function () {
+      const mockedUser = 'https://mocked.com/u/mocked'
+      spyOn(apex, 'getFollowers').and
+        .resolveTo({ orderedItems: [{ id: mockedUser, type: 'Actor', inbox: ['https://mocked.com/inbox/mocked'] }] })
+      await apex.store.saveActivity(activityNormalized)
+      const reply = await apex.buildActivity(
+        'Create',
+        'https://ignore.com/bob',
+        [testUser.id, testUser.followers[0]],
+        { object: { id: 'https://ignore.com/o/abc123', type: 'Note', inReplyTo: activityNormalized.id } }
+      )
+      reply.id = 'https://ignore.com/s/123abc'
+      const received = await apex.toJSONLD(reply)
+      received.signature = { type: 'RsaSignature2017', creator: 'https://ignore.com/bob#main-key' }
+      // formatting and property order that re-serializing would not reproduce
+      const body = JSON.stringify({ signature: received.signature, ...received }, null, 2)
+      const requestValidated = new Promise(resolve => {
+        nock('https://mocked.com').post('/inbox/mocked')
+          .reply(200)
+          .on('request', (req, interceptor, sent) => {
+            expect(sent).toBe(body)
+            expect(req.headers.signature).toContain(`keyId="${testUser.id}"`)
+            resolve()
+          })
+      })
+      await request(app)
+        .post('/inbox/test')
+        .set('Content-Type', 'application/activity+json')
+        .send(body)
+        .expect(200)
+      await requestValidated
+    })
     // activity sideEffects
     it('fires create event', function (done) {
       app.once('apex-inbox', msg => {
@@ -324,7 +357,7 @@ describe('inbox', function () {
         accept = {
           '@context': 'https://www.w3.org/ns/activitystreams',
           type: 'Accept',
-          id: 'https://localhost/s/a29a6843-9feb-4c74-a7f7-081b9c9201d3',
+          id: 'https://ignore.com/s/a29a6843-9feb-4c74-a7f7-081b9c9201d3',
           to: ['https://localhost/u/test'],
           actor: 'https://ignore.com/bob',
           object: follow.id
@@ -436,6 +469,7 @@ describe('inbox', function () {
         })
         follow.to = [mockedUser]
         follow.object = [mockedUser]
+        accept.id = 'https://mocked.com/s/a29a6843-9feb-4c74-a7f7-081b9c9201d3'
         accept.actor = mockedUser
         await apex.store.saveActivity(follow)
         await request(app)
@@ -560,6 +594,7 @@ describe('inbox', function () {
         undone.object = [likeable.id]
         apex.addMeta(undone, 'collection', likeable.likes[0].id)
         undone.to = [testUser.id]
+        undo.id = 'https://mocked.com/s/a29a6843-9feb-4c74-a7f7-081b9c9201d4'
         undo.actor = [mockedUser]
         await apex.store.saveActivity(likeable)
         await apex.store.saveActivity(undone)
@@ -1199,6 +1234,69 @@ describe('inbox', function () {
         await callbackReceived
       })
     })
+    describe('origin', function () {
+      const remoteActor = 'https://mocked.com/u/mocked'
+      beforeEach(function () {
+        return apex.store.saveObject({ id: remoteActor, type: 'Person', inbox: [`${remoteActor}/inbox`] })
+      })
+      it('rejects activities with an id on another origin than their actor', function () {
+        const act = merge({}, activity)
+        act.actor = remoteActor
+        act.object.attributedTo = remoteActor
+        return request(app)
+          .post('/inbox/test')
+          .set('Content-Type', 'application/activity+json')
+          .send(act)
+          .expect(403, 'Activity origin does not match actor')
+      })
+      it('fetches objects embedded by a third party from their origin', async function () {
+        const act = merge({}, activity)
+        act.id = 'https://mocked.com/s/create'
+        act.actor = remoteActor
+        act.object = {
+          type: 'Note',
+          id: 'https://other.example/o/1',
+          attributedTo: 'https://other.example/u/alice',
+          content: 'forged'
+        }
+        nock('https://other.example')
+          .get('/o/1')
+          .reply(200, {
+            '@context': 'https://www.w3.org/ns/activitystreams',
+            type: 'Note',
+            id: 'https://other.example/o/1',
+            attributedTo: 'https://other.example/u/alice',
+            content: 'authentic'
+          })
+        await request(app)
+          .post('/inbox/test')
+          .set('Content-Type', 'application/activity+json')
+          .send(act)
+          .expect(200)
+        expect((await apex.store.getObject('https://other.example/o/1')).content).toEqual(['authentic'])
+        expect((await apex.store.getActivity(act.id)).object[0].content).toEqual(['authentic'])
+      })
+      it('rejects third party objects that cannot be fetched from their origin', async function () {
+        const act = merge({}, activity)
+        act.id = 'https://mocked.com/s/create'
+        act.actor = remoteActor
+        act.object = {
+          type: 'Note',
+          id: 'https://other.example/o/1',
+          attributedTo: remoteActor,
+          content: 'forged'
+        }
+        nock('https://other.example')
+          .get('/o/1')
+          .reply(404)
+        await request(app)
+          .post('/inbox/test')
+          .set('Content-Type', 'application/activity+json')
+          .send(act)
+          .expect(400)
+        expect(await apex.store.getObject('https://other.example/o/1')).toBeFalsy()
+      })
+    })
     describe('asynchronicity', function () {
       it('adds to each collection in rapid, duplicate delivery', async function () {
         const users = await Promise.all(
@@ -1223,7 +1321,7 @@ describe('inbox', function () {
         const u2 = await apex.createActor('test2', 'Test 2')
         await apex.store.saveObject(u2)
         const like = merge({}, activity)
-        like.id = apex.utils.activityIdToIRI()
+        like.id = 'https://mocked.com/s/like'
         like.type = 'Like'
         like.actor = 'https://mocked.com/u/mocked'
         like.object = activity.id
@@ -1264,6 +1362,32 @@ describe('inbox', function () {
       afterAll(function () {
         app.set('env', 'development')
       })
+      // post with http signature by testUser over the signed headers
+      function signedPost (path, body, headers = {}, signed = ['(request-target)', 'host', 'date', 'digest'], target = app) {
+        headers = {
+          digest: `SHA-256=${crypto.createHash('sha256').update(body).digest('base64')}`,
+          host: 'localhost',
+          ...headers
+        }
+        httpSignature.signRequest({
+          getHeader: k => headers[k.toLowerCase()],
+          setHeader: (k, v) => (headers[k.toLowerCase()] = v),
+          method: 'POST',
+          path
+        }, {
+          key: testUser._meta.privateKey,
+          keyId: testUser.id,
+          headers: signed,
+          authorizationHeaderName: 'Signature'
+        })
+        const signedReq = request(target)
+          .post(path)
+          .set('Content-Type', 'application/activity+json')
+        Object.entries(headers)
+          .filter(([k, v]) => v !== undefined)
+          .forEach(([k, v]) => signedReq.set(k, v))
+        return signedReq.send(body)
+      }
       it('rejects missing signature', function () {
         return request(app)
           .post('/inbox/test')
@@ -1299,32 +1423,290 @@ describe('inbox', function () {
           .send(act)
           .expect(200)
       })
+      it('rejects suspended domain before fetching keys', async function () {
+        await apex.setDomainPolicy('mocked.com', { severity: 'suspend' })
+        spyOn(apex, 'resolveObject').and.callThrough()
+        const act = merge({}, activity)
+        act.actor = 'https://mocked.com/u/mocked'
+        await request(app)
+          .post('/inbox/test')
+          .set('Content-Type', 'application/activity+json')
+          .set('Date', new Date().toUTCString())
+          .set('Signature', 'keyId="https://mocked.com/u/mocked#main-key",algorithm="rsa-sha256",headers="(request-target) host date",signature="asfdlajsflkjasklgja="')
+          .send(act)
+          .expect(403, 'Domain suspended')
+        expect(apex.resolveObject).not.toHaveBeenCalled()
+      })
       it('validates valid signature', async function () {
         const recip = await apex.createActor('recipient', 'recipient')
         await apex.store.saveObject(recip)
-        const body = apex.stringifyPublicJSONLD(activity)
-        const headers = {
-          digest: crypto.createHash('sha256').update(body).digest('base64'),
-          host: 'localhost'
+        return signedPost('/inbox/recipient', apex.stringifyPublicJSONLD(activity))
+          .expect(200)
+      })
+      describe('digest', function () {
+        let body
+        beforeEach(function () {
+          body = apex.stringifyPublicJSONLD(activity)
+        })
+        it('rejects digest that does not match body', function () {
+          const digest = crypto.createHash('sha256').update('{}').digest('base64')
+          return signedPost('/inbox/test', body, { digest: `SHA-256=${digest}` })
+            .expect(403, 'Digest does not match request body')
+        })
+        it('rejects digest not covered by signature', function () {
+          return signedPost('/inbox/test', body, {}, ['(request-target)', 'host', 'date'])
+            .expect(401, 'Missing signed Digest or Content-Digest header')
+        })
+        it('rejects unsupported digest algorithm', function () {
+          const digest = crypto.createHash('md5').update(body).digest('base64')
+          return signedPost('/inbox/test', body, { digest: `MD5=${digest}` })
+            .expect(400, 'Unsupported digest algorithm')
+        })
+        it('accepts SHA-512 digest', function () {
+          const digest = crypto.createHash('sha512').update(body).digest('base64')
+          return signedPost('/inbox/test', body, { digest: `SHA-512=${digest}` })
+            .expect(200)
+        })
+        it('accepts Content-Digest', function () {
+          const digest = crypto.createHash('sha256').update(body).digest('base64')
+          return signedPost(
+            '/inbox/test',
+            body,
+            { digest: undefined, 'content-digest': `sha-256=:${digest}:` },
+            ['(request-target)', 'host', 'date', 'content-digest']
+          ).expect(200)
+        })
+        it('verifies digest against re-serialized body without captureRawBody', async function () {
+          const plainApp = express()
+          plainApp.set('env', 'production')
+          plainApp.use(express.json({ type: apex.consts.jsonldTypes }), apex)
+          plainApp.post('/inbox/:actor', apex.net.inbox.post)
+          spyOn(apex.logger, 'warn').and.callThrough()
+          await signedPost('/inbox/test', body, {}, undefined, plainApp)
+            .expect(200)
+          await signedPost('/inbox/test', body, {}, undefined, plainApp)
+            .expect(200)
+          const warnings = apex.logger.warn.calls.allArgs()
+            .filter(([message]) => message.startsWith('Raw request body not available'))
+          expect(warnings.length).toBe(1)
+          const digest = crypto.createHash('sha256').update('{}').digest('base64')
+          await signedPost('/inbox/test', body, { digest: `SHA-256=${digest}` }, undefined, plainApp)
+            .expect(403, 'Digest does not match request body')
+        })
+        it('rejects Content-Digest that does not match body', function () {
+          const digest = crypto.createHash('sha256').update('{}').digest('base64')
+          return signedPost(
+            '/inbox/test',
+            body,
+            { digest: undefined, 'content-digest': `sha-256=:${digest}:` },
+            ['(request-target)', 'host', 'date', 'content-digest']
+          ).expect(403)
+        })
+      })
+      describe('RFC 9421', function () {
+        let remote
+        let body
+        // post with RFC 9421 signature by remote actor
+        function messagePost (headers = {}) {
+          const signed = { 'Content-Type': 'application/activity+json', ...headers }
+          apex.signHttpMessage({
+            method: 'POST',
+            url: 'https://localhost/inbox/test',
+            headers: signed,
+            body
+          }, remote._meta.privateKey, remote.id)
+          return request(app)
+            .post('/inbox/test')
+            .set(signed)
+            .send(body)
         }
-        httpSignature.signRequest({
-          getHeader: k => headers[k.toLowerCase()],
-          setHeader: (k, v) => (headers[k.toLowerCase()] = v),
-          method: 'POST',
-          path: '/inbox/recipient'
-        }, {
-          key: testUser._meta.privateKey,
-          keyId: testUser.id,
-          headers: ['(request-target)', 'host', 'date', 'digest'],
-          authorizationHeaderName: 'Signature'
+        beforeEach(async function () {
+          remote = await apex.createActor('remote', 'Remote')
+          remote.id = 'https://mocked.com/u/remote'
+          await apex.store.saveObject(remote)
+          const act = merge({}, activity)
+          act.id = 'https://mocked.com/s/remote'
+          act.actor = remote.id
+          act.object.id = 'https://mocked.com/o/remote'
+          act.object.attributedTo = remote.id
+          body = JSON.stringify(act)
+        })
+        it('accepts valid signature and remembers format for host', async function () {
+          await messagePost()
+            .expect(200)
+          expect(await apex.store.getActivity('https://mocked.com/s/remote')).toBeTruthy()
+          expect(await apex.store.getSignatureFormat('mocked.com')).toBe('rfc9421')
+        })
+        it('keeps draft-cavage format for host that refused RFC 9421', async function () {
+          await apex.store.saveSignatureFormat('mocked.com', 'cavage')
+          await messagePost()
+            .expect(200)
+          expect(await apex.store.getSignatureFormat('mocked.com')).toBe('cavage')
+        })
+        it('refreshes cached signer without a usable key', async function () {
+          const expired = remote.publicKey.map(key => ({ ...key, expires: ['2020-01-01T00:00:00Z'] }))
+          await apex.store.updateObject({ ...remote, publicKey: expired }, remote.id, true)
+          nock('https://mocked.com')
+            .get('/u/remote')
+            .reply(200, apex.stringifyPublicJSONLD(await apex.toJSONLD(remote)))
+          await messagePost()
+            .expect(200)
+        })
+        it('rejects signer without a usable key after refreshing', async function () {
+          const expired = remote.publicKey.map(key => ({ ...key, expires: ['2020-01-01T00:00:00Z'] }))
+          const withExpired = { ...remote, publicKey: expired }
+          await apex.store.updateObject(withExpired, remote.id, true)
+          nock('https://mocked.com')
+            .get('/u/remote')
+            .reply(200, apex.stringifyPublicJSONLD(await apex.toJSONLD(withExpired)))
+          await messagePost()
+            .expect(403)
+        })
+        it('rejects invalid signature', function () {
+          const otherKey = testUser._meta.privateKey
+          // cached key is refreshed before rejecting
+          nock('https://mocked.com')
+            .get('/u/remote')
+            .reply(200, { id: remote.id, publicKey: remote.publicKey })
+          const signed = { 'Content-Type': 'application/activity+json' }
+          apex.signHttpMessage({
+            method: 'POST',
+            url: 'https://localhost/inbox/test',
+            headers: signed,
+            body
+          }, otherKey, remote.id)
+          return request(app)
+            .post('/inbox/test')
+            .set(signed)
+            .send(body)
+            .expect(403)
+        })
+        it('accepts signature by assertionMethod key', async function () {
+          const withKeys = await apex.createActor('remote', 'Remote', '', null, 'Person', { ed25519: true })
+          const privateKey = withKeys._meta.privateKeys[withKeys.assertionMethod[0].id]
+          withKeys.id = remote.id
+          withKeys.assertionMethod[0].id = `${remote.id}#ed25519-key`
+          await apex.store.updateObject(withKeys, remote.id, true)
+          const signed = { 'Content-Type': 'application/activity+json' }
+          apex.signHttpMessage({
+            method: 'POST',
+            url: 'https://localhost/inbox/test',
+            headers: signed,
+            body
+          }, privateKey, `${remote.id}#ed25519-key`)
+          expect(signed['Signature-Input']).toContain('alg="ed25519"')
+          await request(app)
+            .post('/inbox/test')
+            .set(signed)
+            .send(body)
+            .expect(200)
+        })
+        it('rejects body not matching signed Content-Digest', async function () {
+          const signed = await messagePost()
+            .expect(200)
+          body = body.replace('Say, did', 'Did')
+          return request(app)
+            .post('/inbox/test')
+            .set('Content-Type', 'application/activity+json')
+            .set('Content-Digest', signed.req.getHeader('content-digest'))
+            .set('Signature-Input', signed.req.getHeader('signature-input'))
+            .set('Signature', signed.req.getHeader('signature'))
+            .send(body)
+            .expect(403, 'Digest does not match request body')
+        })
+        it('rejects malformed signature', function () {
+          return request(app)
+            .post('/inbox/test')
+            .set('Content-Type', 'application/activity+json')
+            .set('Signature-Input', 'sig1=("@method");keyid="https://mocked.com/u/remote"')
+            .set('Signature', 'sig2=:YWJj:')
+            .send(body)
+            .expect(400, 'Malformed http signature')
+        })
+      })
+      describe('date', function () {
+        let body
+        beforeEach(function () {
+          body = apex.stringifyPublicJSONLD(activity)
+        })
+        afterEach(function () {
+          apex.maxClockSkew = 3600000
+          apex.signatureReplayCache = false
+        })
+        it('rejects date not covered by signature', function () {
+          return signedPost('/inbox/test', body, {}, ['(request-target)', 'host', 'digest'])
+            .expect(401, 'Date not covered by http signature')
+        })
+        it('rejects date outside allowed clock skew', function () {
+          const date = new Date(Date.now() - 2 * 3600000).toUTCString()
+          return signedPost('/inbox/test', body, { date })
+            .expect(401, 'Request date outside allowed clock skew')
+        })
+        it('accepts date within configured clock skew', function () {
+          apex.maxClockSkew = 3 * 3600000
+          const date = new Date(Date.now() - 2 * 3600000).toUTCString()
+          return signedPost('/inbox/test', body, { date })
+            .expect(200)
+        })
+        it('rejects replayed signature when replay cache enabled', async function () {
+          apex.signatureReplayCache = true
+          const date = new Date().toUTCString()
+          await signedPost('/inbox/test', body, { date })
+            .expect(200)
+          await signedPost('/inbox/test', body, { date })
+            .expect(401, 'Duplicate http signature')
+        })
+        it('allows repeated signature when replay cache disabled', async function () {
+          const date = new Date().toUTCString()
+          await signedPost('/inbox/test', body, { date })
+            .expect(200)
+          await signedPost('/inbox/test', body, { date })
+            .expect(200)
+        })
+      })
+      describe('forwarded activities', function () {
+        let author
+        let forwarded
+        // http signature by testUser, forwarding an activity by author
+        function forward (body) {
+          return signedPost('/inbox/test', JSON.stringify(body))
+        }
+        beforeEach(async function () {
+          author = await apex.createActor('author', 'Author')
+          await apex.store.saveObject(author)
+          forwarded = merge({}, activity)
+          forwarded.id = 'https://localhost/s/forwarded'
+          forwarded.actor = author.id
+          forwarded.object.id = 'https://localhost/o/forwarded'
+          forwarded.object.attributedTo = author.id
+          delete forwarded.shares
+          delete forwarded.likes
+        })
+        it('accepts activity with valid linked data signature', async function () {
+          await forward(await apex.signActivity(author, forwarded))
+            .expect(200)
+          const saved = await apex.store.getActivity(forwarded.id, true)
+          expect(saved._meta.collection).toEqual(['https://localhost/inbox/test'])
+        })
+        it('rejects activity with invalid linked data signature', async function () {
+          const signed = await apex.signActivity(author, forwarded)
+          signed.object.content = 'Forged'
+          await forward(signed)
+            .expect(400)
+          expect(await apex.store.getActivity(forwarded.id)).toBeFalsy()
+        })
+        it('accepts activity with valid data integrity proof', async function () {
+          author = await apex.createActor('author', 'Author', '', null, 'Person', { ed25519: true })
+          await apex.store.updateObject(author, author.id, true)
+          await forward(await apex.signActivity(author, forwarded))
+            .expect(200)
+          expect(await apex.store.getActivity(forwarded.id)).toBeTruthy()
+        })
+        it('rejects activity without linked data signature', async function () {
+          await forward(forwarded)
+            .expect(400)
+          expect(await apex.store.getActivity(forwarded.id)).toBeFalsy()
         })
-        const signedReq = request(app)
-          .post('/inbox/recipient')
-          .set('Content-Type', 'application/activity+json')
-        Object.entries(headers).forEach(([k, v]) => signedReq.set(k, v))
-        return signedReq
-          .send(body)
-          .expect(200)
       })
     })
   })
@@ -1347,7 +1729,7 @@ describe('inbox', function () {
     })
     it('returns inbox as ordered collection', (done) => {
       const inboxCollection = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: 'https://localhost/inbox/test',
         type: 'OrderedCollection',
         totalItems: 4,
@@ -1365,7 +1747,7 @@ describe('inbox', function () {
     })
     it('returns page as ordered collection page', (done) => {
       const inboxCollectionPage = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: 'https://localhost/inbox/test?page=true',
         type: 'OrderedCollectionPage',
         partOf: 'https://localhost/inbox/test',
@@ -1457,7 +1839,7 @@ describe('inbox', function () {
       spyOn(apex, 'getBlocked')
         .and.returnValue({ orderedItems: ['https://localhost/u/blocked'] })
       const inboxCollection = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: 'https://localhost/inbox/test?page=true',
         type: 'OrderedCollectionPage',
         partOf: 'https://localhost/inbox/test',
@@ -1,7 +1,11 @@
-/* global describe, beforeAll, beforeEach, it, expect */
+/* global describe, beforeAll, beforeEach, afterEach, it, expect, expectAsync, jasmine */
 const express = require('express')
+const httpSignature = require('http-signature')
 const request = require('supertest')
 const nock = require('nock')
+const { createRateLimiter } = require('../../pub/rate-limiter')
+
+const remoteId = 'https://mocked.com/u/mocked'
 
 describe('resources', function () {
   let testUser
@@ -18,16 +22,46 @@ describe('resources', function () {
     router.get('/u/:actor', apex.net.actor.get)
     router.get('/o/:id', apex.net.object.get)
     router.get('/s/:id', apex.net.activityStream.get)
-    router.post('/proxy', apex.net.proxy.post)
+    router.get('/outbox/:actor', apex.net.outbox.get)
+    router.route('/proxy')
+      .get(apex.net.proxy.get)
+      .post(apex.net.proxy.post)
     app.use(router)
     app.use('/authorized', (req, res, next) => {
       req.user = { username: 'test' }
       next()
     }, router)
   })
-  beforeEach(function () {
-    return global.resetDb(apex, client, testUser)
+  beforeEach(async function () {
+    await global.resetDb(apex, client, testUser)
+    // remote actor that shares test user's keys for signing test requests
+    await apex.store.saveObject({
+      id: remoteId,
+      type: 'Person',
+      inbox: [`${remoteId}/inbox`],
+      publicKey: [{ ...testUser.publicKey[0], id: `${remoteId}#main-key`, owner: [remoteId] }]
+    })
   })
+  // get with http signature by the remote actor
+  function signedGet (path, signed = ['(request-target)', 'host', 'date']) {
+    const headers = { host: 'localhost', date: new Date().toUTCString() }
+    httpSignature.signRequest({
+      getHeader: k => headers[k.toLowerCase()],
+      setHeader: (k, v) => (headers[k.toLowerCase()] = v),
+      method: 'GET',
+      path
+    }, {
+      key: testUser._meta.privateKey,
+      keyId: `${remoteId}#main-key`,
+      headers: signed,
+      authorizationHeaderName: 'Signature'
+    })
+    const signedReq = request(app)
+      .get(path)
+      .set('Accept', apex.consts.jsonldTypes[0])
+    Object.entries(headers).forEach(([k, v]) => signedReq.set(k, v))
+    return signedReq
+  }
   describe('get actor', function () {
     it('returns actor object', function (done) {
       request(app)
@@ -37,7 +71,7 @@ describe('resources', function () {
         .end(function (err, res) {
           if (err) done.fail(err)
           const standard = {
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+            '@context': apex.context,
             id: 'https://localhost/u/test',
             type: 'Person',
             name: 'test',
@@ -82,7 +116,7 @@ describe('resources', function () {
         .set('Accept', apex.consts.jsonldTypes[0])
         .expect(200)
       const standard = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: oid,
         type: 'Note',
         content: 'Hello.',
@@ -125,7 +159,7 @@ describe('resources', function () {
         .set('Accept', apex.consts.jsonldTypes[0])
         .expect(200)
       const standard = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: oid,
         type: 'Note',
         content: 'Hello.',
@@ -151,7 +185,7 @@ describe('resources', function () {
         .set('Accept', 'application/ld+json; profile="https://www.w3.org/ns/activitystreams"')
         .expect(200)
       const standard = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: oid,
         type: 'Note',
         content: 'Hello.',
@@ -179,7 +213,7 @@ describe('resources', function () {
         .set('Accept', 'application/activity+json')
         .expect(200)
       const standard = {
-        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        '@context': apex.context,
         id: oid,
         type: 'Note',
         content: 'Hello.',
@@ -216,7 +250,7 @@ describe('resources', function () {
         .get(aid.replace('https://localhost', ''))
         .set('Accept', apex.consts.jsonldTypes[0])
         .expect(200)
-      activityInput['@context'] = ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1']
+      activityInput['@context'] = apex.context
       expect(res.get('content-type')?.includes('application/ld+json')).toBeTrue()
       // converted format during jsonld processing
       activityInput.cc = apex.consts.publicAddress
@@ -269,7 +303,7 @@ describe('resources', function () {
         .get(aid.replace('https://localhost', '/authorized'))
         .set('Accept', apex.consts.jsonldTypes[0])
         .expect(200)
-      activityInput['@context'] = ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1']
+      activityInput['@context'] = apex.context
       expect(res.get('content-type')?.includes('application/ld+json')).toBeTrue()
       expect(res.body).toEqual(activityInput)
     })
@@ -301,36 +335,298 @@ describe('resources', function () {
       })
     })
   })
+  describe('authorized fetch', function () {
+    let oid
+    beforeEach(async function () {
+      apex.authorizedFetch = true
+      oid = apex.utils.objectIdToIRI()
+      await apex.store.saveObject(await apex.fromJSONLD({
+        id: oid,
+        type: 'Note',
+        content: 'Hello.',
+        attributedTo: testUser.id,
+        to: apex.consts.publicAddress
+      }))
+    })
+    afterEach(function () {
+      apex.authorizedFetch = false
+    })
+    async function block (object) {
+      const blockActivity = await apex.buildActivity('Block', testUser.id, object, { object })
+      blockActivity._meta = { collection: [apex.utils.nameToBlockedIRI(testUser.preferredUsername)] }
+      await apex.store.saveActivity(blockActivity)
+    }
+    it('rejects unsigned requests', async function () {
+      await request(app)
+        .get(oid.replace('https://localhost', ''))
+        .set('Accept', apex.consts.jsonldTypes[0])
+        .expect(401, 'Missing http signature')
+    })
+    it('serves objects to signed requests', async function () {
+      const res = await signedGet(oid.replace('https://localhost', ''))
+        .expect(200)
+      expect(res.body.content).toBe('Hello.')
+    })
+    it('requires the request target to be signed', async function () {
+      await signedGet(oid.replace('https://localhost', ''), ['host', 'date'])
+        .expect(401, 'Request target not covered by http signature')
+    })
+    it('serves only actor keys to unsigned requests', async function () {
+      const res = await request(app)
+        .get('/u/test')
+        .set('Accept', apex.consts.jsonldTypes[0])
+        .expect(200)
+      expect(res.body).toEqual({
+        '@context': apex.context,
+        id: testUser.id,
+        type: 'Person',
+        preferredUsername: 'test',
+        inbox: testUser.inbox[0],
+        outbox: testUser.outbox[0],
+        publicKey: {
+          id: 'https://localhost/u/test#main-key',
+          owner: testUser.id,
+          publicKeyPem: testUser.publicKey[0].publicKeyPem[0]
+        },
+        endpoints: jasmine.objectContaining({ id: 'https://localhost/u/test#endpoints' })
+      })
+    })
+    it('rejects actors blocked by the owner', async function () {
+      await block(remoteId)
+      await signedGet(oid.replace('https://localhost', ''))
+        .expect(403)
+      await signedGet('/u/test')
+        .expect(403)
+    })
+    it('rejects domains blocked by the owner', async function () {
+      await block('https://mocked.com')
+      await signedGet(oid.replace('https://localhost', ''))
+        .expect(403)
+    })
+    it('rejects suspended domains', async function () {
+      await apex.setDomainPolicy('mocked.com', { severity: 'suspend' })
+      await signedGet(oid.replace('https://localhost', ''))
+        .expect(403, 'Domain suspended')
+    })
+    it('does not require signatures from authorized local users', async function () {
+      await request(app)
+        .get(oid.replace('https://localhost', '/authorized'))
+        .set('Accept', apex.consts.jsonldTypes[0])
+        .expect(200)
+    })
+  })
+  describe('audience authorization', function () {
+    async function saveNote (to) {
+      const oid = apex.utils.objectIdToIRI()
+      await apex.store.saveObject(await apex.fromJSONLD({
+        id: oid,
+        type: 'Note',
+        content: 'Hello.',
+        attributedTo: testUser.id,
+        to
+      }))
+      return oid.replace('https://localhost', '')
+    }
+    async function follow () {
+      const followActivity = await apex.buildActivity('Follow', remoteId, testUser.id, { object: testUser.id })
+      followActivity._meta = { collection: [testUser.followers[0]] }
+      await apex.store.saveActivity(followActivity)
+    }
+    it('returns direct object to its recipient', async function () {
+      const path = await saveNote(remoteId)
+      await signedGet(path).expect(200)
+      await request(app)
+        .get(path)
+        .set('Accept', apex.consts.jsonldTypes[0])
+        .expect(403)
+    })
+    it('denies direct object to other actors', async function () {
+      const path = await saveNote('https://ignore.com/u/ignored')
+      await signedGet(path).expect(403)
+    })
+    it('returns followers-only object to followers', async function () {
+      const path = await saveNote(testUser.followers[0])
+      await signedGet(path).expect(403)
+      await follow()
+      await signedGet(path).expect(200)
+    })
+    it('returns object addressed to custom collection to its members', async function () {
+      const colId = apex.utils.userCollectionIdToIRI('test', 'besties')
+      const path = await saveNote(colId)
+      await signedGet(path).expect(403)
+      const add = await apex.buildActivity('Add', testUser.id, [], { object: remoteId, target: colId })
+      add._meta = { collection: [colId] }
+      await apex.store.saveActivity(add)
+      await signedGet(path).expect(200)
+    })
+    it('includes collection items addressed to the requester', async function () {
+      const create = await apex.buildActivity('Create', testUser.id, testUser.followers[0], {
+        object: { type: 'Note', content: 'Followers only' }
+      })
+      create._meta = { collection: [testUser.outbox[0]] }
+      await apex.store.saveActivity(create)
+      await follow()
+      const anonymous = await request(app)
+        .get('/outbox/test?page=true')
+        .set('Accept', apex.consts.jsonldTypes[0])
+        .expect(200)
+      expect(anonymous.body.orderedItems).toEqual([])
+      const signed = await signedGet('/outbox/test?page=true')
+        .expect(200)
+      expect(signed.body.orderedItems.map(act => act.id)).toEqual([create.id])
+    })
+  })
   describe('proxy remote objects', function () {
-    it('fetches the remote resouce', function (done) {
-      nock('https://mocked.com')
-        .get('/abc123')
-        .reply(200, { id: 'https://mocked.com/abc123', type: 'Note', summary: 'I am a remote resource' })
-      request(app)
-        .post('/proxy')
+    const remoteObject = {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      id: 'https://mocked.com/abc123',
+      type: 'Note',
+      summary: 'I am a remote resource',
+      to: 'https://www.w3.org/ns/activitystreams#Public'
+    }
+    beforeEach(function () {
+      apex.proxyRateLimiter = createRateLimiter(() => ({ limit: apex.proxyRateLimit, window: apex.proxyRateWindow }))
+    })
+    afterEach(function () {
+      apex.proxyRateLimit = 60
+    })
+    function proxyPost (id, path = '/authorized/proxy') {
+      return request(app)
+        .post(path)
         .type('form')
-        .send({ id: 'https://mocked.com/abc123' })
+        .send({ id })
         .set('Accept', apex.consts.jsonldTypes[0])
+    }
+    it('fetches the remote resouce', async function () {
+      nock('https://mocked.com')
+        .get('/abc123')
+        .reply(200, remoteObject)
+      const res = await proxyPost('https://mocked.com/abc123')
         .expect(200)
-        .end(function (err, res) {
-          if (err) done.fail(err)
-          expect(res.body).toEqual({
-            '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
-            id: 'https://mocked.com/abc123',
-            type: 'Note',
-            summary: 'I am a remote resource'
-          })
-          done()
-        })
+      expect(res.body).toEqual({
+        '@context': apex.context,
+        id: 'https://mocked.com/abc123',
+        type: 'Note',
+        summary: 'I am a remote resource',
+        to: 'as:Public'
+      })
+      expect((await apex.store.getObject('https://mocked.com/abc123')).summary).toEqual(['I am a remote resource'])
     })
-    it('handles invalid request', function () {
-      return request(app)
-        .post('/proxy')
+    it('rejects unauthenticated requests', function () {
+      return proxyPost('https://mocked.com/abc123', '/proxy')
+        .expect(403)
+    })
+    it('handles invalid request', async function () {
+      await request(app)
+        .post('/authorized/proxy')
         .type('form')
         // property should be id
         .send({ foo: 'https://mocked.com/abc123' })
         .set('Accept', apex.consts.jsonldTypes[0])
         .expect(400)
+      await proxyPost('file:///etc/passwd')
+        .expect(400)
+    })
+    it('supports GET with id query parameter', async function () {
+      nock('https://mocked.com')
+        .get('/abc123')
+        .reply(200, remoteObject)
+      const res = await request(app)
+        .get('/authorized/proxy')
+        .query({ id: 'https://mocked.com/abc123' })
+        .set('Accept', apex.consts.jsonldTypes[0])
+        .expect(200)
+      expect(res.body.id).toBe('https://mocked.com/abc123')
+    })
+    it('signs the request as the user', async function () {
+      let signature
+      nock('https://mocked.com')
+        .get('/abc123')
+        .reply(function () {
+          signature = this.req.headers.signature
+          return [200, remoteObject]
+        })
+      await proxyPost('https://mocked.com/abc123')
+        .expect(200)
+      expect(signature).toContain(`keyId="${testUser.id}"`)
+    })
+    it('responds 502 if the remote object cannot be fetched', function () {
+      nock('https://mocked.com')
+        .get('/abc123')
+        .reply(500)
+      return proxyPost('https://mocked.com/abc123')
+        .expect(502)
+    })
+    it('caches responses', async function () {
+      const scope = nock('https://mocked.com')
+        .get('/abc123')
+        .once()
+        .reply(200, remoteObject, { 'Cache-Control': 'max-age=60' })
+      await proxyPost('https://mocked.com/abc123').expect(200)
+      const res = await proxyPost('https://mocked.com/abc123').expect(200)
+      expect(res.body.summary).toBe('I am a remote resource')
+      expect(scope.isDone()).toBeTrue()
+    })
+    it('applies domain policies to cached responses', async function () {
+      nock('https://mocked.com')
+        .get('/abc123')
+        .once()
+        .reply(200, { ...remoteObject, icon: 'https://mocked.com/icon.png' }, { 'Cache-Control': 'max-age=60' })
+      await proxyPost('https://mocked.com/abc123').expect(200)
+      await apex.setDomainPolicy('mocked.com', { rejectMedia: true })
+      const res = await proxyPost('https://mocked.com/abc123').expect(200)
+      expect(res.body.icon).toBeUndefined()
+      await apex.setDomainPolicy('mocked.com', { severity: 'suspend' })
+      await proxyPost('https://mocked.com/abc123').expect(502)
+    })
+    it('does not cache responses that forbid it', async function () {
+      const scope = nock('https://mocked.com')
+        .get('/abc123')
+        .twice()
+        .reply(200, remoteObject, { 'Cache-Control': 'no-store' })
+      await proxyPost('https://mocked.com/abc123').expect(200)
+      await proxyPost('https://mocked.com/abc123').expect(200)
+      expect(scope.isDone()).toBeTrue()
+    })
+    it('caches non-public responses only for the requesting user', async function () {
+      const other = await apex.createActor('other', 'Other user')
+      await apex.store.saveObject(other)
+      const direct = { ...remoteObject, to: testUser.id }
+      nock('https://mocked.com')
+        .get('/abc123')
+        .reply(200, direct)
+        .get('/abc123')
+        .reply(404)
+      const user = await apex.store.getObject(testUser.id, true)
+      expect((await apex.resolveProxied('https://mocked.com/abc123', user)).to).toEqual([testUser.id])
+      expect((await apex.resolveProxied('https://mocked.com/abc123', user)).to).toEqual([testUser.id])
+      // not saved where other users' lookups would find it
+      expect(await apex.store.getObject('https://mocked.com/abc123')).toBeNull()
+      await expectAsync(apex.resolveProxied('https://mocked.com/abc123', other))
+        .toBeRejectedWithError(/404/)
+    })
+    it('serves local objects only to their audience', async function () {
+      const oid = apex.utils.objectIdToIRI()
+      const obj = await apex.fromJSONLD({
+        id: oid,
+        type: 'Note',
+        attributedTo: 'https://localhost/u/other',
+        to: ['https://localhost/u/other']
+      })
+      await apex.store.saveObject(obj)
+      await proxyPost(oid).expect(404)
+      obj.to.push(testUser.id)
+      await apex.store.updateObject(obj, 'https://localhost/u/other', true)
+      await proxyPost(oid).expect(200)
+    })
+    it('limits requests per user', async function () {
+      apex.proxyRateLimit = 1
+      nock('https://mocked.com')
+        .get('/abc123')
+        .reply(200, remoteObject)
+      await proxyPost('https://mocked.com/abc123').expect(200)
+      const res = await proxyPost('https://mocked.com/abc123').expect(429)
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0)
     })
   })
 })
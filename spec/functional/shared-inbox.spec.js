@@ -0,0 +1,221 @@
+/* global describe, beforeAll, beforeEach, afterAll, it, expect, spyOn */
+const request = require('supertest')
+const merge = require('deepmerge')
+
+const mockedActor = {
+  id: 'https://mocked.com/u/mocked',
+  type: 'Person',
+  inbox: ['https://mocked.com/inbox/mocked'],
+  followers: ['https://mocked.com/u/mocked/followers']
+}
+
+const activity = {
+  '@context': 'https://www.w3.org/ns/activitystreams',
+  type: 'Create',
+  id: 'https://mocked.com/s/a29a6843-9feb-4c74-a7f7-081b9c9201d3',
+  to: ['https://localhost/u/test', 'https://localhost/u/test2'],
+  actor: 'https://mocked.com/u/mocked',
+  object: {
+    type: 'Note',
+    id: 'https://mocked.com/o/49e2d03d-b53a-4c4c-a95c-94a6abf45a19',
+    attributedTo: 'https://mocked.com/u/mocked',
+    to: ['https://localhost/u/test', 'https://localhost/u/test2'],
+    content: 'Say, did you finish reading that book I lent you?'
+  }
+}
+
+describe('shared inbox', function () {
+  let testUser
+  let test2
+  let app
+  let apex
+  let client
+  beforeAll(async function () {
+    const init = await global.initApex()
+    testUser = init.testUser
+    app = init.app
+    apex = init.apex
+    client = init.client
+    app.route('/inbox')
+      .post(apex.net.sharedInbox.post)
+      .get(apex.net.sharedInbox.get)
+    app.post('/inbox/:actor', apex.net.inbox.post)
+    app.get('/authorized/inbox', (req, res, next) => {
+      req.user = { username: 'test' }
+      next()
+    }, apex.net.sharedInbox.get)
+  })
+  beforeEach(async function () {
+    // don't let failed deliveries pollute later tests
+    spyOn(apex.store, 'deliveryRequeue').and.resolveTo(undefined)
+    await global.resetDb(apex, client, testUser)
+    test2 = await apex.createActor('test2', 'Test 2')
+    await apex.store.saveObject(test2)
+    await apex.store.saveObject(mockedActor)
+  })
+  describe('post', function () {
+    it('errors invalid activities', function () {
+      return request(app)
+        .post('/inbox')
+        .set('Content-Type', 'application/activity+json')
+        .send({ actor: 'https://mocked.com/u/mocked', '@context': 'https://www.w3.org/ns/activitystreams' })
+        .expect(400, 'Invalid activity')
+    })
+    it('accepts activities with no local recipients', async function () {
+      const act = merge({}, activity)
+      act.to = ['https://ignore.com/u/bob']
+      await request(app)
+        .post('/inbox')
+        .set('Content-Type', 'application/activity+json')
+        .send(act)
+        .expect(200)
+      expect(await apex.store.getActivity(act.id)).toBeFalsy()
+    })
+    it('saves activity once for all addressed actors', async function () {
+      spyOn(apex.store, 'saveActivity').and.callThrough()
+      await request(app)
+        .post('/inbox')
+        .set('Content-Type', 'application/activity+json')
+        .send(activity)
+        .expect(200)
+      expect(apex.store.saveActivity).toHaveBeenCalledTimes(1)
+      const saved = await apex.store.getActivity(activity.id, true)
+      expect(saved._meta.collection.sort()).toEqual([testUser.inbox[0], test2.inbox[0]])
+    })
+    it('fires inbox event for each recipient', async function () {
+      const recipients = []
+      const eventsFired = new Promise(resolve => {
+        const listener = msg => {
+          expect(msg.actor.id).toBe(mockedActor.id)
+          expect(msg.activity.id).toBe(activity.id)
+          recipients.push(msg.recipient.id)
+          if (recipients.length === 2) {
+            app.off('apex-inbox', listener)
+            resolve()
+          }
+        }
+        app.on('apex-inbox', listener)
+      })
+      await request(app)
+        .post('/inbox')
+        .set('Content-Type', 'application/activity+json')
+        .send(activity)
+        .expect(200)
+      await eventsFired
+      expect(recipients.sort()).toEqual([testUser.id, test2.id])
+    })
+    it('delivers to local followers of sender', async function () {
+      const follow = await apex.buildActivity('Follow', test2.id, [mockedActor.id], {
+        object: mockedActor.id
+      })
+      follow._meta = { collection: [test2.following[0]] }
+      await apex.store.saveActivity(follow)
+      // pending follow
+      const pending = await apex.buildActivity('Follow', testUser.id, [mockedActor.id], {
+        object: mockedActor.id
+      })
+      await apex.store.saveActivity(pending)
+      const act = merge({}, activity)
+      act.to = [mockedActor.followers[0]]
+      await request(app)
+        .post('/inbox')
+        .set('Content-Type', 'application/activity+json')
+        .send(act)
+        .expect(200)
+      const saved = await apex.store.getActivity(act.id, true)
+      expect(saved._meta.collection).toEqual([test2.inbox[0]])
+    })
+    it('delivers to actors the activity is about', async function () {
+      const follow = merge({}, activity)
+      follow.type = 'Follow'
+      follow.id = 'https://mocked.com/s/follow'
+      follow.to = []
+      follow.object = testUser.id
+      await request(app)
+        .post('/inbox')
+        .set('Content-Type', 'application/activity+json')
+        .send(follow)
+        .expect(200)
+      const saved = await apex.store.getActivity(follow.id, true)
+      expect(saved._meta.collection).toEqual([testUser.inbox[0]])
+    })
+    it('skips recipients that block the sender', async function () {
+      const block = await apex.buildActivity('Block', testUser.id, [], { object: mockedActor.id })
+      block._meta = { collection: [apex.utils.nameToBlockedIRI(testUser.preferredUsername)] }
+      await apex.store.saveActivity(block)
+      await request(app)
+        .post('/inbox')
+        .set('Content-Type', 'application/activity+json')
+        .send(activity)
+        .expect(200)
+      const saved = await apex.store.getActivity(activity.id, true)
+      expect(saved._meta.collection).toEqual([test2.inbox[0]])
+    })
+  })
+  describe('get', function () {
+    const publicActivity = merge(activity, { audience: ['as:Public'] })
+    beforeAll(function () {
+      apex.settings.endpoints.sharedInbox = 'https://localhost/inbox'
+    })
+    afterAll(function () {
+      delete apex.settings.endpoints.sharedInbox
+    })
+    beforeEach(async function () {
+      for (const act of [publicActivity, merge(activity, { id: `${activity.id}-private` })]) {
+        await request(app)
+          .post('/inbox')
+          .set('Content-Type', 'application/activity+json')
+          .send(act)
+          .expect(200)
+      }
+    })
+    it('returns shared inbox as ordered collection', async function () {
+      const res = await request(app)
+        .get('/inbox')
+        .set('Accept', 'application/activity+json')
+        .expect(200)
+      expect(res.body).toEqual({
+        '@context': apex.context,
+        id: 'https://localhost/inbox',
+        type: 'OrderedCollection',
+        totalItems: 2,
+        first: 'https://localhost/inbox?page=true'
+      })
+    })
+    it('returns public activities once each', async function () {
+      const res = await request(app)
+        .get('/inbox?page=true')
+        .set('Accept', 'application/activity+json')
+        .expect(200)
+      expect(res.body.type).toBe('OrderedCollectionPage')
+      expect(res.body.partOf).toBe('https://localhost/inbox')
+      expect([].concat(res.body.orderedItems).map(act => act.id)).toEqual([activity.id])
+    })
+    it('includes activities received by inbox', async function () {
+      const act = merge(publicActivity, { id: `${activity.id}-inbox` })
+      await request(app)
+        .post('/inbox/test')
+        .set('Content-Type', 'application/activity+json')
+        .send(act)
+        .expect(200)
+      const sharedInbox = await apex.getSharedInbox(Infinity)
+      expect(sharedInbox.orderedItems.map(act => act.id)).toEqual([act.id, activity.id])
+    })
+    it('filters actors blocked by authorized user', async function () {
+      const block = await apex.buildActivity('Block', testUser.id, [], { object: mockedActor.id })
+      block._meta = { collection: [apex.utils.nameToBlockedIRI(testUser.preferredUsername)] }
+      await apex.store.saveActivity(block)
+      const res = await request(app)
+        .get('/authorized/inbox?page=true')
+        .set('Accept', 'application/activity+json')
+        .expect(200)
+      expect(res.body.orderedItems).toEqual([])
+    })
+    it('returns 400 for invalid page value', function () {
+      return request(app)
+        .get('/inbox?page=invalid')
+        .set('Accept', 'application/activity+json')
+        .expect(400)
+    })
+  })
+})
@@ -46,7 +46,7 @@ global.initApex = async function initApex () {
   })
 
   app.use(
-    express.json({ type: apex.consts.jsonldTypes }),
+    express.json({ type: apex.consts.jsonldTypes, verify: apex.net.validators.captureRawBody }),
     express.urlencoded({ extended: true }),
     apex
   )
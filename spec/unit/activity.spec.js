@@ -49,6 +49,9 @@ describe('activity utils', function () {
       const actors = await Promise.all(
         ['bob', 'sally', 'sandro'].map(un => apex.createActor(un, un, 'actor'))
       )
+      // shared inboxes are only used for remote actors
+      actors[0].id = 'https://test.com/u/bob'
+      actors[1].id = 'https://test.com/u/sally'
       actors[0].endpoints[0].sharedInbox = actors[1].endpoints[0].sharedInbox = ['https://test.com/sharedInbox']
       await Promise.all(actors.map(a => apex.store.saveObject(a)))
       const act = await apex
@@ -59,6 +62,20 @@ describe('activity utils', function () {
         'https://localhost/inbox/sandro'
       ])
     })
+    it('addresses local actors at their own inbox', async function () {
+      const actors = await Promise.all(
+        ['bob', 'sally'].map(un => apex.createActor(un, un, 'actor'))
+      )
+      actors.forEach(a => { a.endpoints[0].sharedInbox = ['https://localhost/inbox'] })
+      await Promise.all(actors.map(a => apex.store.saveObject(a)))
+      const act = await apex
+        .buildActivity('Create', testUser.id, actors.map(a => a.id))
+      const addresses = await apex.address(act, testUser)
+      expect(addresses).toEqual([
+        'https://localhost/inbox/bob',
+        'https://localhost/inbox/sally'
+      ])
+    })
   })
   describe('resolveActivity', function () {
     it('returns undefined if the given a non-activity object', async function () {
@@ -48,4 +48,16 @@ describe('apex', function () {
     expect(apex.domain).toBe('someotherdomain:9876')
     expect(apex.baseUrl).toBe('https://someotherdomain:9876')
   })
+
+  it('should keep the first app it handles a request for', function () {
+    const apex = ActivitypubExpress({
+      baseUrl: 'https://localhost',
+      routes
+    })
+    const handle = app => apex({ app }, { locals: {}, on () {}, once () {} }, () => {})
+    const first = { locals: {} }
+    handle(first)
+    handle({ locals: {} })
+    expect(apex.app).toBe(first)
+  })
 })
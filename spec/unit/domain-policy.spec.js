@@ -0,0 +1,167 @@
+/* global describe, beforeAll, beforeEach, afterEach, it, expect, expectAsync, jasmine, spyOn */
+const nock = require('nock')
+
+describe('domain policies', function () {
+  let testUser
+  let app
+  let apex
+  let client
+  beforeAll(async function () {
+    const init = await global.initApex()
+    testUser = init.testUser
+    app = init.app
+    apex = init.apex
+    client = init.client
+    app.route('/outbox/:actor')
+      .get(apex.net.outbox.get)
+      .post(apex.net.outbox.post)
+  })
+  beforeEach(function () {
+    return global.resetDb(apex, client, testUser)
+  })
+  afterEach(function () {
+    apex.federationMode = 'open'
+  })
+  describe('management', function () {
+    it('saves, lists, and removes policies', async function () {
+      const saved = await apex.setDomainPolicy('https://Bad.Example/u/troll', {
+        severity: 'suspend',
+        comment: 'spam'
+      })
+      expect(saved.domain).toBe('bad.example')
+      await apex.setDomainPolicy('noisy.example', { severity: 'silence', rejectMedia: true })
+      const policies = await apex.getDomainPolicies()
+      expect(policies.map(p => [p.domain, p.severity, p.rejectMedia, p.comment]).sort()).toEqual([
+        ['bad.example', 'suspend', false, 'spam'],
+        ['noisy.example', 'silence', true, null]
+      ])
+      expect(await apex.removeDomainPolicy('bad.example')).toBeTrue()
+      expect(await apex.removeDomainPolicy('bad.example')).toBeFalse()
+      expect((await apex.getDomainPolicies()).length).toBe(1)
+    })
+    it('rejects invalid severity', async function () {
+      await expectAsync(apex.setDomainPolicy('bad.example', { severity: 'ban' }))
+        .toBeRejectedWithError('Invalid domain policy severity ban')
+    })
+  })
+  describe('getDomainPolicy', function () {
+    it('applies the most specific domain policy to subdomains', async function () {
+      await apex.setDomainPolicy('example.com', { severity: 'silence' })
+      await apex.setDomainPolicy('media.example.com', { rejectMedia: true })
+      expect(await apex.getDomainPolicy('https://www.example.com/u/bob'))
+        .toEqual({ domain: 'example.com', severity: 'silence', rejectMedia: false })
+      expect(await apex.getDomainPolicy('https://media.example.com/u/bob'))
+        .toEqual({ domain: 'media.example.com', severity: null, rejectMedia: true })
+      expect(await apex.getDomainPolicy('https://notexample.com/u/bob'))
+        .toEqual({ domain: 'notexample.com', severity: null, rejectMedia: false })
+    })
+    it('suspends domains not on the allowlist in allowlist mode', async function () {
+      apex.federationMode = 'allowlist'
+      await apex.setDomainPolicy('friends.example', { allow: true })
+      await apex.setDomainPolicy('media.friends.example', { rejectMedia: true })
+      expect((await apex.getDomainPolicy('https://friends.example/u/bob')).severity).toBeNull()
+      expect(await apex.getDomainPolicy('https://media.friends.example/u/bob'))
+        .toEqual({ domain: 'media.friends.example', severity: null, rejectMedia: true })
+      expect(await apex.getDomainPolicy('https://other.example/u/bob'))
+        .toEqual({ domain: 'other.example', severity: 'suspend', rejectMedia: true })
+      // local domain is never restricted
+      expect((await apex.getDomainPolicy(testUser.id)).severity).toBeNull()
+    })
+  })
+  describe('getDomainPolicyMatcher', function () {
+    it('loads only policies for the domains checked', async function () {
+      await apex.setDomainPolicy('example.com', { severity: 'suspend' })
+      await apex.setDomainPolicy('other.example', { severity: 'silence' })
+      spyOn(apex.store, 'getDomainPolicies').and.callThrough()
+      const matcher = await apex.getDomainPolicyMatcher(['https://www.example.com/u/bob', 'notexample.com', testUser.id])
+      expect(apex.store.getDomainPolicies).toHaveBeenCalledOnceWith(
+        jasmine.arrayWithExactContents(['www.example.com', 'example.com', 'com', 'notexample.com'])
+      )
+      expect(matcher('https://www.example.com/u/bob').severity).toBe('suspend')
+      expect(matcher('notexample.com').severity).toBeNull()
+    })
+    it('does not query the store for local IRIs only', async function () {
+      spyOn(apex.store, 'getDomainPolicies').and.callThrough()
+      const matcher = await apex.getDomainPolicyMatcher([testUser.id])
+      expect(apex.store.getDomainPolicies).not.toHaveBeenCalled()
+      expect(matcher(testUser.id).severity).toBeNull()
+    })
+  })
+  describe('enforcement', function () {
+    it('does not fetch from suspended domains', async function () {
+      await apex.setDomainPolicy('bad.example', { severity: 'suspend' })
+      await expectAsync(apex.requestObject('https://bad.example/u/troll'))
+        .toBeRejectedWithError('Not fetching https://bad.example/u/troll, bad.example is suspended')
+    })
+    it('removes media from objects fetched from reject-media domains', async function () {
+      await apex.setDomainPolicy('media.example', { rejectMedia: true })
+      nock('https://media.example')
+        .get('/u/bob')
+        .reply(200, {
+          '@context': 'https://www.w3.org/ns/activitystreams',
+          id: 'https://media.example/u/bob',
+          type: 'Person',
+          name: 'Bob',
+          icon: { type: 'Image', url: 'https://media.example/bob.png' }
+        })
+      const actor = await apex.requestObject('https://media.example/u/bob')
+      expect(actor.name).toEqual(['Bob'])
+      expect(actor.icon).toBeUndefined()
+    })
+    it('does not address suspended domains', async function () {
+      const actors = ['https://bad.example/u/troll', 'https://good.example/u/bob'].map(id => ({
+        id,
+        type: 'Person',
+        inbox: [`${id}/inbox`]
+      }))
+      await Promise.all(actors.map(a => apex.store.saveObject(a)))
+      await apex.setDomainPolicy('bad.example', { severity: 'suspend' })
+      const act = await apex.buildActivity('Create', testUser.id, actors.map(a => a.id))
+      expect(await apex.address(act, testUser)).toEqual(['https://good.example/u/bob/inbox'])
+    })
+    it('skips queued deliveries to suspended domains', async function () {
+      spyOn(apex, 'startDelivery')
+      spyOn(apex, 'deliver')
+      apex.app = app
+      const events = []
+      app.on('apex-delivery-failed', msg => events.push(msg))
+      await apex.queueForDelivery(testUser, { id: 'https://localhost/s/1' }, ['https://bad.example/inbox'])
+      await apex.setDomainPolicy('bad.example', { severity: 'suspend' })
+      await apex.runDelivery(await apex.store.deliveryClaim('test', 60000))
+      app.removeAllListeners('apex-delivery-failed')
+      expect(apex.deliver).not.toHaveBeenCalled()
+      expect(await apex.getDeliveryStats()).toEqual({ queued: 0, dead: 0 })
+      expect(events).toEqual([jasmine.objectContaining({
+        inbox: 'https://bad.example/inbox',
+        error: 'bad.example is suspended',
+        deadLetter: false
+      })])
+    })
+    it('filters collections', async function () {
+      await apex.setDomainPolicy('bad.example', { severity: 'suspend' })
+      await apex.setDomainPolicy('noisy.example', { severity: 'silence' })
+      await apex.setDomainPolicy('media.example', { rejectMedia: true })
+      const actors = ['https://bad.example/u/troll', 'https://noisy.example/u/loud', 'https://media.example/u/bob']
+      for (const [i, actor] of actors.entries()) {
+        await apex.store.saveObject({ id: actor, type: 'Person', inbox: [`${actor}/inbox`] })
+        await apex.store.saveActivity({
+          id: `https://localhost/s/${i}`,
+          type: 'Create',
+          actor: [actor],
+          to: [apex.consts.publicAddress],
+          object: [{
+            id: `https://localhost/o/${i}`,
+            type: 'Note',
+            attachment: [{ type: 'Image', url: ['https://media.example/pic.png'] }]
+          }],
+          _meta: { collection: [testUser.inbox[0]] }
+        })
+      }
+      const privateView = await apex.getCollection(testUser.inbox[0], Infinity, null, true)
+      expect(privateView.orderedItems.map(act => act.actor[0].id).sort()).toEqual(actors.slice(1).sort())
+      const publicView = await apex.getCollection(testUser.inbox[0], Infinity, null, false)
+      expect(publicView.orderedItems.map(act => act.actor[0].id)).toEqual([actors[2]])
+      expect(publicView.orderedItems[0].object[0].attachment).toBeUndefined()
+    })
+  })
+})
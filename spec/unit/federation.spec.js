@@ -1,6 +1,19 @@
-/* global describe, beforeAll, beforeEach, afterEach, jasmine, it, expect, spyOn */
+/* global describe, beforeAll, beforeEach, afterEach, jasmine, it, expect, spyOn, expectAsync */
 const nock = require('nock')
 const httpSignature = require('http-signature')
+const DeliveryWorker = require('../../delivery')
+const IApexStore = require('../../store/interface')
+const { parseHttpMessageSignature } = require('../../pub/http-signature')
+
+// RFC 9421 signature of a request intercepted by nock
+function parseNockSignature (req) {
+  const url = new URL(req.path, `${req.options.proto}://${req.options.host}`)
+  return parseHttpMessageSignature.call({ baseUrl: url.origin }, {
+    method: req.method,
+    originalUrl: req.path,
+    get: name => req.headers[name.toLowerCase()]
+  })
+}
 
 describe('federation', function () {
   let testUser
@@ -33,7 +46,7 @@ describe('federation', function () {
       })
       body = await apex.toJSONLD(act)
       addresses = ['https://ignore.com/bob/inbox', 'https://ignore.com/sally/inbox']
-      spyOn(apex, 'runDelivery')
+      spyOn(apex, 'startDelivery')
       await apex.queueForDelivery(testUser, body, addresses)
     })
     afterEach(function () {
@@ -48,52 +61,78 @@ describe('federation', function () {
       expect(queued).toEqual(addresses.map(address => ({
         actorId: testUser.id,
         address,
+        host: 'ignore.com',
         body: apex.stringifyPublicJSONLD(body),
         signingKey: testUser._meta.privateKey,
+        priority: apex.consts.deliveryPriority.interactive,
         attempt: 0,
-        after: new Date()
+        after: new Date(),
+        queuedAt: new Date()
       })))
     })
-    it('dequeues items in FIFO order', async function () {
+    it('claims items in FIFO order', async function () {
       await apex.queueForDelivery(testUser, body, ['https://ignore.com/lee/inbox'])
-      const first = await apex.store.deliveryDequeue()
-      const second = await apex.store.deliveryDequeue()
-      const third = await apex.store.deliveryDequeue()
-      const fourth = await apex.store.deliveryDequeue()
+      const lease = apex.delivery.visibilityTimeout
+      const first = await apex.store.deliveryClaim('worker', lease)
+      const second = await apex.store.deliveryClaim('worker', lease)
+      const third = await apex.store.deliveryClaim('worker', lease)
+      const fourth = await apex.store.deliveryClaim('worker', lease)
       const standard = [...addresses, 'https://ignore.com/lee/inbox'].map(address => ({
+        _id: jasmine.anything(),
         actorId: testUser.id,
         address,
+        host: 'ignore.com',
+        priority: 0,
         body: apex.stringifyPublicJSONLD(body),
         signingKey: testUser._meta.privateKey,
         attempt: 0,
-        after: new Date()
+        after: new Date(Date.now() + lease),
+        queuedAt: new Date(),
+        lockId: 'worker'
       }))
-      // fourth should be null as queue is empty
-      standard.push(null)
+      // fourth should report lease expiry as all items are claimed
+      standard.push({ waitUntil: new Date(Date.now() + lease) })
       expect([first, second, third, fourth]).toEqual(standard)
     })
+    it('queues collection updates as bulk deliveries', async function () {
+      const update = await apex.buildActivity('Update', testUser.id, testUser.followers, {
+        object: [await apex.getFollowers(testUser)]
+      })
+      await apex.queueForDelivery(testUser, await apex.toJSONLD(update), ['https://ignore.com/lee/inbox'])
+      const { bulk, interactive } = apex.consts.deliveryPriority
+      const lease = apex.delivery.visibilityTimeout
+      expect((await apex.store.deliveryClaim('worker', lease)).priority).toBe(interactive)
+      expect((await apex.store.deliveryClaim('worker', lease)).priority).toBe(interactive)
+      expect((await apex.store.deliveryClaim('worker', lease)).priority).toBe(bulk)
+    })
     it('requeues items at the end and increases attempt count & time', async function () {
-      const delivery = await apex.store.deliveryDequeue()
+      const delivery = await apex.store.deliveryClaim('worker', apex.delivery.visibilityTimeout)
       await apex.store.deliveryRequeue(delivery)
       const queued = await apex.store.db.collection('deliveryQueue')
         .find({})
-        .sort({ _id: 1 })
+        .sort({ after: 1, _id: 1 })
         .project({ _id: 0 })
         .toArray()
       expect(queued).toEqual([{
         address: addresses[1],
+        host: 'ignore.com',
+        priority: 0,
         actorId: testUser.id,
         body: apex.stringifyPublicJSONLD(body),
         signingKey: testUser._meta.privateKey,
         attempt: 0,
-        after: new Date()
+        after: new Date(),
+        queuedAt: new Date()
       }, {
         address: addresses[0],
+        host: 'ignore.com',
+        priority: 0,
         actorId: testUser.id,
         body: apex.stringifyPublicJSONLD(body),
         signingKey: testUser._meta.privateKey,
         attempt: 1,
-        after: new Date(2) // mocked start date (1) + 10^0 ms delay (1)
+        after: new Date(2), // mocked start date (1) + 10^0 ms delay (1)
+        queuedAt: new Date()
       }])
     })
   })
@@ -162,12 +201,17 @@ describe('federation', function () {
         setTimeout(() => {
           const lastCall = apex.store.deliveryRequeue.calls.mostRecent().args[0]
           delete lastCall.after
+          delete lastCall._id
           expect(lastCall).toEqual({
+            lockId: apex.delivery.id,
+            host: 'mocked.com',
+            priority: 0,
             actorId: testUser.id,
             body: bodyString,
             address: addresses[0],
             signingKey: testUser._meta.privateKey,
-            attempt: 2
+            attempt: 2,
+            queuedAt: jasmine.any(Date)
           })
           expect(apex.deliver).toHaveBeenCalledTimes(4)
           expect(apex.deliver.calls.argsFor(3))
@@ -227,6 +271,19 @@ describe('federation', function () {
       })
       await timerCallback2
     })
+    it('moves delivery to dead letters after final attempt', async function () {
+      apex.offlineMode = true
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 502 })
+      await apex.queueForDelivery(testUser, body, [addresses[0]])
+      const delivery = await apex.store.deliveryClaim('test', 60000)
+      delivery.attempt = 11
+      await apex.runDelivery(delivery)
+      expect(await apex.getDeliveryStats()).toEqual({ queued: 0, dead: 1 })
+      const [dead] = await apex.getDeliveries({ dead: true })
+      expect(dead.address).toBe(addresses[0])
+      expect(dead.statusCode).toBe(502)
+      expect(dead.error).toBe('Request status 502')
+    })
     it('does not retry 4xx failed delivery', async function () {
       spyOn(apex.store, 'deliveryRequeue').and.callThrough()
       spyOn(apex, 'deliver').and.returnValues(
@@ -248,6 +305,473 @@ describe('federation', function () {
       await timerCallback
     })
   })
+  describe('retry policy', function () {
+    const address = 'https://mocked.com/bob/inbox'
+    let delivery
+    let defaults
+    beforeEach(async function () {
+      // run deliveries manually
+      apex.offlineMode = true
+      const { backoff, maxRetries, maxAge, retryStatuses } = apex.delivery
+      defaults = { backoff, maxRetries, maxAge, retryStatuses }
+      await apex.store.deliveryEnqueue(testUser.id, '{}', address, 'key')
+      delivery = await apex.store.deliveryClaim('test', 60000)
+      spyOn(apex.store, 'deliveryRequeue').and.callThrough()
+      spyOn(apex.store, 'deliveryComplete').and.callThrough()
+      spyOn(apex.store, 'deliveryFail').and.callThrough()
+    })
+    afterEach(function () {
+      Object.assign(apex.delivery, defaults)
+    })
+    it('retries rate limited deliveries after Retry-After seconds', async function () {
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 429, headers: { 'retry-after': '120' } })
+      const before = Date.now()
+      await apex.runDelivery(delivery)
+      const [requeued, after] = apex.store.deliveryRequeue.calls.argsFor(0)
+      expect(requeued.attempt).toBe(1)
+      expect(after.getTime()).toBeGreaterThanOrEqual(before + 120000)
+      expect(after.getTime()).toBeLessThanOrEqual(Date.now() + 120000)
+    })
+    it('retries after Retry-After date', async function () {
+      const retryAt = new Date(Date.now() + 3600000)
+      retryAt.setMilliseconds(0)
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 503, headers: { 'retry-after': retryAt.toUTCString() } })
+      await apex.runDelivery(delivery)
+      expect(apex.store.deliveryRequeue.calls.argsFor(0)[1]).toEqual(retryAt)
+    })
+    it('retries transient 4xx failures', async function () {
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 401 })
+      await apex.runDelivery(delivery)
+      expect(apex.store.deliveryRequeue).toHaveBeenCalledTimes(1)
+      expect(apex.store.deliveryComplete).not.toHaveBeenCalled()
+    })
+    it('does not retry permanent failures', async function () {
+      apex.delivery.retryStatuses = [429]
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 401 })
+      await apex.runDelivery(delivery)
+      expect(apex.store.deliveryRequeue).not.toHaveBeenCalled()
+      expect(apex.store.deliveryComplete).toHaveBeenCalledTimes(1)
+    })
+    it('uses configured backoff', async function () {
+      apex.delivery.backoff = attempt => (attempt + 1) * 60000
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 500 })
+      const before = Date.now()
+      await apex.runDelivery(delivery)
+      const after = apex.store.deliveryRequeue.calls.argsFor(0)[1]
+      expect(after.getTime()).toBeGreaterThanOrEqual(before + 60000)
+      expect(after.getTime()).toBeLessThanOrEqual(Date.now() + 60000)
+    })
+    it('stops retrying after maxRetries', async function () {
+      apex.delivery.maxRetries = 0
+      spyOn(apex, 'deliver').and.rejectWith(new Error('socket hang up'))
+      await apex.runDelivery(delivery)
+      expect(apex.store.deliveryRequeue).not.toHaveBeenCalled()
+      expect(apex.store.deliveryFail)
+        .toHaveBeenCalledOnceWith(delivery, { statusCode: null, error: 'socket hang up' })
+    })
+    it('stops retrying after maxAge', async function () {
+      apex.delivery.maxAge = 60000
+      delivery.queuedAt = new Date(Date.now() - 60000)
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 429, headers: { 'retry-after': '10' } })
+      await apex.runDelivery(delivery)
+      expect(apex.store.deliveryRequeue).not.toHaveBeenCalled()
+      expect(apex.store.deliveryFail)
+        .toHaveBeenCalledOnceWith(delivery, { statusCode: 429, error: 'Request status 429' })
+    })
+  })
+  describe('delivery events', function () {
+    const address = 'https://mocked.com/bob/inbox'
+    let activity
+    let delivery
+    beforeEach(async function () {
+      // run deliveries manually
+      apex.offlineMode = true
+      // normally set by apex middleware when handling requests
+      apex.app = app
+      activity = await apex.buildActivity('Create', testUser.id, ['https://mocked.com/bob'], {
+        object: { type: 'Note', content: 'Hello' }
+      })
+      await apex.queueForDelivery(testUser, await apex.toJSONLD(activity), [address])
+      delivery = await apex.store.deliveryClaim('test', 60000)
+    })
+    function nextEvent (eventName) {
+      return new Promise(resolve => app.once(eventName, resolve))
+    }
+    it('emits events on apex.events before apex has handled a request', async function () {
+      apex.app = undefined
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 202 })
+      const event = new Promise(resolve => apex.events.once('apex-delivery-success', resolve))
+      await apex.runDelivery(delivery)
+      expect((await event).activityId).toBe(activity.id)
+    })
+    it('emits success events', async function () {
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 202 })
+      const event = nextEvent('apex-delivery-success')
+      await apex.runDelivery(delivery)
+      expect(await event).toEqual({
+        activityId: activity.id,
+        actorId: testUser.id,
+        inbox: address,
+        host: 'mocked.com',
+        attempt: 1,
+        statusCode: 202
+      })
+    })
+    it('emits retry events', async function () {
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 503 })
+      const event = nextEvent('apex-delivery-retry')
+      await apex.runDelivery(delivery)
+      expect(await event).toEqual({
+        activityId: activity.id,
+        actorId: testUser.id,
+        inbox: address,
+        host: 'mocked.com',
+        attempt: 1,
+        statusCode: 503,
+        error: 'Request status 503',
+        retryAt: jasmine.any(Date)
+      })
+    })
+    it('emits failed events when retries are exhausted', async function () {
+      spyOn(apex, 'deliver').and.rejectWith(new Error('getaddrinfo ENOTFOUND mocked.com'))
+      delivery.attempt = apex.delivery.maxRetries
+      const event = nextEvent('apex-delivery-failed')
+      await apex.runDelivery(delivery)
+      expect(await event).toEqual({
+        activityId: activity.id,
+        actorId: testUser.id,
+        inbox: address,
+        host: 'mocked.com',
+        attempt: apex.delivery.maxRetries + 1,
+        statusCode: null,
+        error: 'getaddrinfo ENOTFOUND mocked.com',
+        deadLetter: true
+      })
+    })
+    it('emits failed events for permanent failures', async function () {
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 403 })
+      const event = nextEvent('apex-delivery-failed')
+      await apex.runDelivery(delivery)
+      expect(await event).toEqual({
+        activityId: activity.id,
+        actorId: testUser.id,
+        inbox: address,
+        host: 'mocked.com',
+        attempt: 1,
+        statusCode: 403,
+        error: 'Request status 403',
+        deadLetter: false
+      })
+    })
+  })
+  describe('unreachable hosts', function () {
+    const address = 'https://mocked.com/bob/inbox'
+    const body = '{}'
+    let delivery
+    beforeEach(async function () {
+      // run deliveries manually
+      apex.offlineMode = true
+      // normally set by apex middleware when handling requests
+      apex.app = app
+      apex.delivery.unreachableAfter = 0
+      await apex.store.deliveryEnqueue(testUser.id, body, [address, 'https://mocked.com/sally/inbox'], 'key')
+      delivery = await apex.store.deliveryClaim('test', 60000)
+    })
+    afterEach(function () {
+      apex.delivery.unreachableAfter = 24 * 60 * 60 * 1000
+      apex.delivery.pruneFollowersAfter = undefined
+    })
+    it('marks failing hosts unreachable and parks their deliveries', async function () {
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 503 })
+      const event = new Promise(resolve => app.once('apex-host-unreachable', resolve))
+      await apex.runDelivery(delivery)
+      expect(await event).toEqual({ host: 'mocked.com', failures: 1, firstFailure: jasmine.any(Date) })
+      const record = await apex.store.getHost('mocked.com')
+      expect(record.unreachableSince).toEqual(jasmine.any(Date))
+      expect(record.actors).toEqual([testUser.id])
+      expect(await apex.store.deliveryClaim('test', 60000)).toEqual({ waitUntil: record.nextProbe })
+    })
+    it('counts concurrent failures and reports host unreachable once', async function () {
+      const events = []
+      const listener = event => events.push(event)
+      app.on('apex-host-unreachable', listener)
+      const records = await Promise.all([
+        apex.recordHostFailure('mocked.com', testUser.id),
+        apex.recordHostFailure('mocked.com', testUser.id)
+      ])
+      app.off('apex-host-unreachable', listener)
+      expect(records.every(record => record.unreachableSince)).toBeTrue()
+      expect((await apex.store.getHost('mocked.com')).failures).toBe(2)
+      expect(events.length).toBe(1)
+    })
+    it('does not use up attempts while host is unreachable', async function () {
+      spyOn(apex, 'deliver')
+      spyOn(apex.store, 'deliveryRequeue').and.callThrough()
+      const nextProbe = new Date(Date.now() + 60000)
+      await apex.store.saveHost({
+        host: 'mocked.com',
+        failures: 5,
+        firstFailure: new Date(0),
+        lastFailure: new Date(0),
+        unreachableSince: new Date(0),
+        nextProbe,
+        prunedAt: null,
+        actors: [testUser.id]
+      })
+      await apex.runDelivery(delivery)
+      expect(apex.deliver).not.toHaveBeenCalled()
+      expect(apex.store.deliveryRequeue).toHaveBeenCalledOnceWith(delivery, nextProbe)
+    })
+    it('resumes parked deliveries when a probe succeeds', async function () {
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 200 })
+      const unreachableSince = new Date(0)
+      await apex.store.saveHost({
+        host: 'mocked.com',
+        failures: 5,
+        firstFailure: unreachableSince,
+        lastFailure: unreachableSince,
+        unreachableSince,
+        nextProbe: unreachableSince,
+        prunedAt: null,
+        actors: [testUser.id]
+      })
+      await apex.store.deliveryRescheduleHost('mocked.com', new Date(Date.now() + 60000))
+      const event = new Promise(resolve => app.once('apex-host-recovered', resolve))
+      await apex.runDelivery(delivery)
+      expect(apex.deliver).toHaveBeenCalledTimes(1)
+      expect(await event).toEqual({ host: 'mocked.com', unreachableSince })
+      expect(await apex.store.getHost('mocked.com')).toBeFalsy()
+      expect((await apex.store.deliveryClaim('test', 60000)).address)
+        .toBe('https://mocked.com/sally/inbox')
+    })
+    it('prunes followers on hosts unreachable for pruneFollowersAfter', async function () {
+      apex.delivery.pruneFollowersAfter = 1
+      spyOn(apex, 'deliver').and.resolveTo({ statusCode: 503 })
+      spyOn(apex, 'publishUpdate').and.resolveTo()
+      const remote = { id: 'https://mocked.com/u/bob', type: 'Person', inbox: [address] }
+      const local = await apex.createActor('sally', 'sally')
+      await apex.store.saveObject(remote)
+      await apex.store.saveObject(local)
+      for (const follower of [remote, local]) {
+        const follow = await apex.buildActivity('Follow', follower.id, testUser.id, {
+          object: testUser.id
+        })
+        apex.addMeta(follow, 'collection', testUser.followers[0])
+        await apex.store.saveActivity(follow)
+      }
+      await apex.store.saveHost({
+        host: 'mocked.com',
+        failures: 5,
+        firstFailure: new Date(0),
+        lastFailure: new Date(0),
+        unreachableSince: new Date(0),
+        nextProbe: new Date(0),
+        prunedAt: null,
+        actors: [testUser.id]
+      })
+      await apex.runDelivery(delivery)
+      const followers = await apex.store.getStream(testUser.followers[0])
+      expect(followers.map(follow => follow.actor[0].id)).toEqual([local.id])
+      expect(apex.publishUpdate).toHaveBeenCalledTimes(1)
+      const [actor, collection] = apex.publishUpdate.calls.argsFor(0)
+      expect(actor.id).toBe(testUser.id)
+      expect(collection.id).toBe(testUser.followers[0])
+      expect(collection.totalItems).toEqual([1])
+      expect((await apex.store.getHost('mocked.com')).prunedAt).toEqual(jasmine.any(Date))
+    })
+  })
+  describe('local delivery', function () {
+    let bob
+    beforeEach(async function () {
+      // remote deliveries stay queued
+      apex.offlineMode = true
+      apex.app = app
+      bob = await apex.createActor('bob', 'Bob')
+      await apex.store.saveObject(bob)
+    })
+    it('delivers to local inboxes without queueing', async function () {
+      spyOn(apex, 'deliver')
+      await apex.store.saveObject({
+        id: 'https://ignore.com/u/sally',
+        type: 'Person',
+        inbox: ['https://ignore.com/u/sally/inbox']
+      })
+      const activity = await apex.buildActivity('Create', testUser.id, [bob.id, 'https://ignore.com/u/sally'], {
+        object: { id: apex.utils.objectIdToIRI(), type: 'Note', content: 'Hello' }
+      })
+      await apex.store.saveActivity(activity)
+      const event = new Promise(resolve => app.once('apex-inbox', resolve))
+      await apex.publishActivity(testUser, activity)
+      const { actor, recipient } = await event
+      expect(actor.id).toBe(testUser.id)
+      expect(recipient.id).toBe(bob.id)
+      const saved = await apex.store.getActivity(activity.id, true)
+      expect(saved._meta.collection).toEqual([bob.inbox[0]])
+      const queued = await apex.store.deliveryList()
+      expect(queued.map(delivery => delivery.address)).toEqual(['https://ignore.com/u/sally/inbox'])
+      expect(apex.deliver).not.toHaveBeenCalled()
+    })
+    it('processes inbox side effects', async function () {
+      const follow = await apex.buildActivity('Follow', bob.id, [testUser.id], { object: testUser.id })
+      await apex.store.saveActivity(follow)
+      const accept = await apex.buildActivity('Accept', testUser.id, [bob.id], { object: follow.id })
+      await apex.store.saveActivity(accept)
+      await apex.publishActivity(testUser, accept)
+      const following = await apex.store.getStream(bob.following[0])
+      expect(following.map(act => act.id)).toEqual([follow.id])
+    })
+    it('honors recipient blocks', async function () {
+      const block = await apex.buildActivity('Block', bob.id, [], { object: testUser.id })
+      block._meta = { collection: [apex.utils.nameToBlockedIRI(bob.preferredUsername)] }
+      await apex.store.saveActivity(block)
+      const activity = await apex.buildActivity('Create', testUser.id, [bob.id], {
+        object: { id: apex.utils.objectIdToIRI(), type: 'Note', content: 'Hello' }
+      })
+      await apex.store.saveActivity(activity)
+      await apex.publishActivity(testUser, activity)
+      const saved = await apex.store.getActivity(activity.id, true)
+      expect(saved._meta?.collection ?? []).toEqual([])
+    })
+  })
+  describe('delivery worker', function () {
+    const addresses = [
+      'https://ignore.com/a/inbox',
+      'https://ignore.com/b/inbox',
+      'https://ignore.com/c/inbox'
+    ]
+    let delivered
+    let pending
+    function makeWorker (options) {
+      return new DeliveryWorker({
+        store: apex.store,
+        logger: apex.logger,
+        runDelivery (delivery) {
+          return new Promise(resolve => pending.push(resolve)).then(() => {
+            delivered.push(delivery.address)
+            return apex.store.deliveryComplete(delivery)
+          })
+        }
+      }, options)
+    }
+    function settle () {
+      return new Promise(resolve => setTimeout(resolve, 10))
+    }
+    // allow in-progress deliveries to finish one at a time
+    async function deliverInTurn () {
+      while (pending.length) {
+        pending.shift()()
+        await settle()
+      }
+    }
+    beforeEach(function () {
+      delivered = []
+      pending = []
+    })
+    it('requires a store with deliveryClaim to deliver', async function () {
+      class DequeueStore extends IApexStore {
+        deliveryDequeue () {}
+      }
+      // apps that don't deliver can still be created with older stores
+      const worker = new DeliveryWorker({ store: new DequeueStore() })
+      await expectAsync(worker.start()).toBeRejectedWithError(/does not implement deliveryClaim/)
+      await expectAsync(worker.wake()).toBeRejectedWithError(/does not implement deliveryClaim/)
+    })
+    describe('lifecycle', function () {
+      beforeEach(async function () {
+        await apex.store.deliveryEnqueue(testUser.id, 'body', addresses, testUser._meta.privateKey)
+      })
+      it('limits deliveries in progress to concurrency', async function () {
+        const worker = makeWorker({ concurrency: 2 })
+        worker.start()
+        await settle()
+        expect(pending.length).toBe(2)
+        pending.splice(0).forEach(resolve => resolve())
+        await settle()
+        expect(pending.length).toBe(1)
+        pending.splice(0).forEach(resolve => resolve())
+        await worker.stop()
+        expect(delivered).toEqual(addresses)
+      })
+      it('does not run the same delivery in multiple workers', async function () {
+        const workers = [makeWorker({ concurrency: 2 }), makeWorker({ concurrency: 2 })]
+        workers.forEach(worker => worker.start())
+        await settle()
+        expect(pending.length).toBe(3)
+        pending.splice(0).forEach(resolve => resolve())
+        await Promise.all(workers.map(worker => worker.stop()))
+        expect(delivered.sort()).toEqual(addresses)
+        expect(apex.delivery).not.toBe(workers[0])
+      })
+      it('finishes in-flight deliveries before stopping', async function () {
+        const worker = makeWorker({ concurrency: 2 })
+        worker.start()
+        await settle()
+        let stopped = false
+        const stopping = worker.stop().then(() => { stopped = true })
+        await settle()
+        expect(stopped).toBeFalse()
+        pending.splice(0).forEach(resolve => resolve())
+        await stopping
+        expect(delivered.length).toBe(2)
+        // remaining delivery not claimed after stop
+        expect(pending.length).toBe(0)
+        worker.wake()
+        await settle()
+        expect(pending.length).toBe(0)
+        expect((await apex.store.deliveryClaim('test', 1000)).address).toBe(addresses[2])
+      })
+    })
+    describe('scheduling', function () {
+      it('limits deliveries in progress per host', async function () {
+        await apex.store.deliveryEnqueue(testUser.id, 'body', addresses, testUser._meta.privateKey)
+        await apex.store.deliveryEnqueue(testUser.id, 'body', 'https://mocked.com/a/inbox', testUser._meta.privateKey)
+        const worker = makeWorker({ concurrency: 10, hostConcurrency: 2 })
+        worker.start()
+        await settle()
+        expect(pending.length).toBe(3)
+        await deliverInTurn()
+        await worker.stop()
+        expect(delivered).toEqual([addresses[0], addresses[1], 'https://mocked.com/a/inbox', addresses[2]])
+      })
+      it('takes turns between actors', async function () {
+        await apex.store.deliveryEnqueue(testUser.id, 'body', addresses, testUser._meta.privateKey)
+        await apex.store.deliveryEnqueue('https://localhost/u/other', 'body', 'https://mocked.com/a/inbox', 'key')
+        const worker = makeWorker({ concurrency: 1 })
+        worker.start()
+        await settle()
+        await deliverInTurn()
+        await worker.stop()
+        expect(delivered).toEqual([addresses[0], 'https://mocked.com/a/inbox', addresses[1], addresses[2]])
+      })
+      it('sends interactive deliveries before bulk deliveries', async function () {
+        const { bulk, interactive } = apex.consts.deliveryPriority
+        await apex.store.deliveryEnqueue(testUser.id, 'body', addresses, testUser._meta.privateKey, bulk)
+        await apex.store.deliveryEnqueue(testUser.id, 'body', 'https://mocked.com/a/inbox', testUser._meta.privateKey, interactive)
+        const worker = makeWorker({ concurrency: 1 })
+        worker.start()
+        await settle()
+        await deliverInTurn()
+        await worker.stop()
+        expect(delivered).toEqual(['https://mocked.com/a/inbox', ...addresses])
+      })
+      it('reserves capacity for interactive deliveries', async function () {
+        const { bulk, interactive } = apex.consts.deliveryPriority
+        await apex.store.deliveryEnqueue(testUser.id, 'body', 'https://ignore.com/a/inbox', testUser._meta.privateKey, bulk)
+        await apex.store.deliveryEnqueue(testUser.id, 'body', 'https://mocked.com/a/inbox', testUser._meta.privateKey, bulk)
+        const worker = makeWorker({ concurrency: 2, bulkConcurrency: 1 })
+        worker.start()
+        await settle()
+        expect(pending.length).toBe(1)
+        await apex.store.deliveryEnqueue(testUser.id, 'body', 'https://other.com/a/inbox', testUser._meta.privateKey, interactive)
+        worker.wake()
+        await settle()
+        expect(pending.length).toBe(2)
+        await deliverInTurn()
+        await worker.stop()
+        expect(delivered).toEqual(['https://ignore.com/a/inbox', 'https://other.com/a/inbox', 'https://mocked.com/a/inbox'])
+      })
+    })
+  })
   describe('requestObject', function () {
     let su
     beforeEach(async function () {
@@ -281,6 +805,63 @@ describe('federation', function () {
       apex.requestObject('https://mocked.com/o/mocked')
     })
   })
+  describe('http message signatures', function () {
+    const address = 'https://mocked.com/bob/inbox'
+    it('signs deliveries with draft-cavage signature by default', async function () {
+      nock('https://mocked.com').post('/bob/inbox')
+        .reply(200)
+        .on('request', req => {
+          expect(req.headers['signature-input']).toBeUndefined()
+          expect(req.headers.signature).toContain(`keyId="${testUser.id}"`)
+        })
+      const result = await apex.deliver(testUser.id, '{}', address, testUser._meta.privateKey)
+      expect(result.statusCode).toBe(200)
+    })
+    it('signs deliveries with RFC 9421 signature for hosts known to support it', async function () {
+      await apex.store.saveSignatureFormat('mocked.com', 'rfc9421')
+      nock('https://mocked.com').post('/bob/inbox')
+        .reply(200)
+        .on('request', req => {
+          const signature = parseNockSignature(req)
+          expect(signature.keyId).toBe(testUser.id)
+          expect(signature.components).toEqual(['@method', '@target-uri', 'content-digest'])
+          expect(signature.verify(testUser.publicKey[0].publicKeyPem[0])).toBeTrue()
+        })
+      const result = await apex.deliver(testUser.id, '{}', address, testUser._meta.privateKey)
+      expect(result.statusCode).toBe(200)
+      expect(await apex.store.getSignatureFormat('mocked.com')).toBe('rfc9421')
+    })
+    it('falls back to draft-cavage signature when RFC 9421 is refused', async function () {
+      await apex.store.saveSignatureFormat('mocked.com', 'rfc9421')
+      const formats = []
+      nock('https://mocked.com')
+        .post('/bob/inbox').reply(401)
+        .post('/bob/inbox').reply(200)
+        .on('request', req => formats.push(req.headers['signature-input'] ? 'rfc9421' : 'cavage'))
+      const result = await apex.deliver(testUser.id, '{}', address, testUser._meta.privateKey)
+      expect(result.statusCode).toBe(200)
+      expect(formats).toEqual(['rfc9421', 'cavage'])
+      expect(await apex.store.getSignatureFormat('mocked.com')).toBe('cavage')
+    })
+    it('falls back to draft-cavage signature for refused object requests', async function () {
+      const su = await apex.createActor('su', 'System user', '', null, 'Service')
+      apex.systemUser = su
+      await apex.store.saveSignatureFormat('mocked.com', 'rfc9421')
+      const formats = []
+      nock('https://mocked.com')
+        .get('/o/mocked').reply(401)
+        .get('/o/mocked').reply(200, { id: 'https://mocked.com/o/mocked', type: 'Note' })
+        .on('request', req => formats.push(req.headers['signature-input'] ? 'rfc9421' : 'cavage'))
+      try {
+        const object = await apex.requestObject('https://mocked.com/o/mocked')
+        expect(object.id).toBe('https://mocked.com/o/mocked')
+      } finally {
+        apex.systemUser = undefined
+      }
+      expect(formats).toEqual(['rfc9421', 'cavage'])
+      expect(await apex.store.getSignatureFormat('mocked.com')).toBe('cavage')
+    })
+  })
   describe('recursive object resolution', function () {
     it('resolves linked objects', async function () {
       const fakes = {
@@ -0,0 +1,87 @@
+/* global describe, beforeAll, it, expect */
+const crypto = require('crypto')
+const { parseHttpMessageSignature } = require('../../pub/http-signature')
+
+// request from RFC 9421 appendix B.2
+const exampleHeaders = {
+  host: 'example.com',
+  date: 'Tue, 20 Apr 2021 02:07:55 GMT',
+  'content-type': 'application/json',
+  'content-length': '18'
+}
+function exampleRequest (headers) {
+  headers = { ...exampleHeaders, ...headers }
+  return {
+    method: 'POST',
+    originalUrl: '/foo?param=Value&Pet=dog',
+    get: name => headers[name.toLowerCase()]
+  }
+}
+const example = { baseUrl: 'https://example.com' }
+
+describe('http message signatures', function () {
+  let apex
+  let testUser
+  beforeAll(async function () {
+    const init = await global.initApex()
+    apex = init.apex
+    testUser = init.testUser
+  })
+  describe('parseHttpMessageSignature', function () {
+    it('verifies RFC 9421 ed25519 example', function () {
+      const req = exampleRequest({
+        'signature-input': 'sig-b26=("date" "@method" "@path" "@authority" "content-type" "content-length");created=1618884473;keyid="test-key-ed25519"',
+        signature: 'sig-b26=:wqcAqbmYJ2ji2glfAMaRy4gruYYnx2nEFN2HN6jrnDnQCK1u02Gb04v9EDgwUPiu4A0w6vuQv5lIp5WPpBKRCw==:'
+      })
+      const signature = parseHttpMessageSignature.call(example, req)
+      expect(signature.keyId).toBe('test-key-ed25519')
+      expect(signature.created).toEqual(new Date(1618884473000))
+      expect(signature.components).toEqual(['date', '@method', '@path', '@authority', 'content-type', 'content-length'])
+      const publicKey = '-----BEGIN PUBLIC KEY-----\nMCowBQYDK2VwAyEAJrQLj5P/89iXES9+vFgrIy29clF9CC/oPPsw3c5D0bs=\n-----END PUBLIC KEY-----\n'
+      expect(signature.verify(publicKey)).toBeTrue()
+      // different key type
+      expect(signature.verify(testUser.publicKey[0].publicKeyPem[0])).toBeFalse()
+    })
+    it('rejects unsupported components', function () {
+      const req = exampleRequest({
+        'signature-input': 'sig1=("@query-param";name="Pet");keyid="test-key"',
+        signature: 'sig1=:YWJj:'
+      })
+      expect(() => parseHttpMessageSignature.call(example, req)).toThrowError(/Unsupported signature component/)
+    })
+    it('rejects missing signed headers', function () {
+      const req = exampleRequest({
+        'signature-input': 'sig1=("digest");keyid="test-key"',
+        signature: 'sig1=:YWJj:'
+      })
+      expect(() => parseHttpMessageSignature.call(example, req)).toThrowError('Signed header digest is missing')
+    })
+  })
+  describe('signHttpMessage', function () {
+    it('signs method, target uri, and body digest', function () {
+      const headers = {}
+      const body = '{"hello":"world"}'
+      apex.signHttpMessage({ method: 'post', url: 'https://example.com/foo?param=Value', headers, body }, testUser._meta.privateKey, testUser.id)
+      const digest = crypto.createHash('sha256').update(body).digest('base64')
+      expect(headers['Content-Digest']).toBe(`sha-256=:${digest}:`)
+      const signature = parseHttpMessageSignature.call(example, exampleRequest({
+        'content-digest': headers['Content-Digest'],
+        'signature-input': headers['Signature-Input'],
+        signature: headers.Signature
+      }))
+      expect(signature.keyId).toBe(testUser.id)
+      expect(signature.components).toEqual(['@method', '@target-uri', 'content-digest'])
+      // target uri is part of the signature
+      expect(signature.verify(testUser.publicKey[0].publicKeyPem[0])).toBeFalse()
+      const signed = parseHttpMessageSignature.call(example, {
+        ...exampleRequest({
+          'content-digest': headers['Content-Digest'],
+          'signature-input': headers['Signature-Input'],
+          signature: headers.Signature
+        }),
+        originalUrl: '/foo?param=Value'
+      })
+      expect(signed.verify(testUser.publicKey[0].publicKeyPem[0])).toBeTrue()
+    })
+  })
+})
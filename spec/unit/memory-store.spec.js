@@ -0,0 +1,32 @@
+/* global describe, beforeEach, it, expect, expectAsync */
+const MemoryStore = require('../../store/memory')
+const storeConformance = require('../../store/conformance')
+
+storeConformance('memory store conformance', () => new MemoryStore())
+
+describe('memory store', function () {
+  let store
+  const actor = {
+    id: 'https://localhost/u/test',
+    type: 'Person',
+    inbox: ['https://localhost/inbox/test'],
+    _meta: { privateKey: 'secret' }
+  }
+  beforeEach(async function () {
+    store = new MemoryStore()
+    await store.setup(actor)
+  })
+  it('returns copies that cannot modify stored data', async function () {
+    const obj = await store.getObject(actor.id, true)
+    obj._meta.privateKey = 'changed'
+    expect((await store.getObject(actor.id, true))._meta.privateKey).toBe('secret')
+  })
+  it('rejects unsupported query operators', async function () {
+    await expectAsync(store.getStream(actor.inbox[0], null, null, null, { type: { $regex: 'Create' } }))
+      .toBeRejectedWithError('Unsupported query operator $regex')
+  })
+  it('rejects aggregation pipeline queries', async function () {
+    await expectAsync(store.getStream(actor.inbox[0], null, null, null, [{ $match: { type: 'Create' } }]))
+      .toBeRejectedWithError('Invalid query description: must be an object')
+  })
+})
@@ -1,4 +1,6 @@
-/* global describe, beforeAll, beforeEach, it, expect */
+/* global describe, beforeAll, beforeEach, it, expect, expectAsync */
+const nock = require('nock')
+
 describe('object utils', function () {
   let testUser
   let app
@@ -22,5 +24,24 @@ describe('object utils', function () {
       const cached = await apex.resolveObject(`${testUser.id}#main-key`)
       expect(cached?.id).toBe(testUser.id)
     })
+    it('rejects objects served from another origin', async function () {
+      nock('https://mocked.com')
+        .get('/o/1')
+        .reply(200, { '@context': 'https://www.w3.org/ns/activitystreams', id: 'https://other.example/o/1', type: 'Note' })
+      await expectAsync(apex.resolveObject('https://mocked.com/o/1'))
+        .toBeRejectedWithError('Origin of https://other.example/o/1 does not match https://mocked.com/o/1')
+      expect(await apex.store.getObject('https://other.example/o/1')).toBeFalsy()
+    })
+  })
+  describe('resolveUnknown', function () {
+    it('fetches objects embedded by a third party from their origin', async function () {
+      nock('https://other.example')
+        .get('/o/1')
+        .reply(200, { '@context': 'https://www.w3.org/ns/activitystreams', id: 'https://other.example/o/1', type: 'Note', content: 'authentic' })
+      const embedded = { id: 'https://other.example/o/1', type: 'Note', content: ['forged'] }
+      const object = await apex.resolveUnknown(embedded, 'https://mocked.com/s/1')
+      expect(object.content).toEqual(['authentic'])
+      expect((await apex.store.getObject(embedded.id)).content).toEqual(['authentic'])
+    })
   })
 })
@@ -0,0 +1,84 @@
+/* global describe, beforeAll, beforeEach, afterAll, afterEach, it, expect, expectAsync, spyOn */
+const http = require('http')
+const { isPrivateAddress } = require('../../pub/request-guard')
+
+describe('request guard', function () {
+  let testUser
+  let apex
+  let client
+  let server
+  let port
+  beforeAll(async function () {
+    const init = await global.initApex()
+    testUser = init.testUser
+    apex = init.apex
+    client = init.client
+    server = http.createServer((req, res) => {
+      if (req.url.startsWith('/redirect')) {
+        res.writeHead(302, { Location: new URL(req.url, 'http://x').searchParams.get('to') })
+        return res.end()
+      }
+      res.writeHead(200, { 'Content-Type': 'application/activity+json' })
+      res.end(JSON.stringify({ id: `http://127.0.0.1:${port}${req.url}`, type: 'Note' }))
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    port = server.address().port
+  })
+  afterAll(function () {
+    return new Promise(resolve => server.close(resolve))
+  })
+  beforeEach(function () {
+    return global.resetDb(apex, client, testUser)
+  })
+  afterEach(function () {
+    apex.allowedPrivateAddresses = []
+  })
+  it('recognizes private and reserved addresses', function () {
+    ;['10.0.0.5', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fe80::1', 'fd00::1', '::ffff:a00:5', '::ffff:127.0.0.1', '::ffff:0:0'].forEach(address => {
+      expect(isPrivateAddress(address)).withContext(address).toBeTrue()
+    })
+    ;['93.184.216.34', '172.32.0.1', '2606:4700::1', '::ffff:93.184.216.34', '::ffff:5db8:d822'].forEach(address => {
+      expect(isPrivateAddress(address)).withContext(address).toBeFalse()
+    })
+  })
+  it('refuses to fetch from private IP addresses', async function () {
+    await expectAsync(apex.requestObject(`http://127.0.0.1:${port}/o/1`))
+      .toBeRejectedWithError(/127\.0\.0\.1 is a private address/)
+    await expectAsync(apex.requestObject(`http://[::1]:${port}/o/1`))
+      .toBeRejectedWithError(/::1 is a private address/)
+  })
+  it('refuses hostnames that resolve to private addresses', async function () {
+    await expectAsync(apex.requestObject(`http://localhost:${port}/o/1`))
+      .toBeRejectedWithError(/Refusing to connect to localhost/)
+  })
+  it('allows allowlisted addresses', async function () {
+    apex.allowedPrivateAddresses = ['127.0.0.0/8']
+    const object = await apex.requestObject(`http://127.0.0.1:${port}/o/1`)
+    expect(object.id).toBe(`http://127.0.0.1:${port}/o/1`)
+  })
+  it('refuses redirects to private addresses', async function () {
+    apex.allowedPrivateAddresses = ['127.0.0.1']
+    const to = encodeURIComponent('http://169.254.169.254/latest/meta-data')
+    await expectAsync(apex.requestObject(`http://127.0.0.1:${port}/redirect?to=${to}`))
+      .toBeRejectedWithError(/169\.254\.169\.254 is a private address/)
+  })
+  it('refuses to load JSON-LD contexts from private addresses', async function () {
+    await expectAsync(apex.jsonldContextLoader(`http://127.0.0.1:${port}/context`))
+      .toBeRejectedWithError(/127\.0\.0\.1 is a private address/)
+    apex.allowedPrivateAddresses = ['127.0.0.1']
+    const to = encodeURIComponent('http://[::1]/context')
+    await expectAsync(apex.jsonldContextLoader(`http://127.0.0.1:${port}/redirect?to=${to}`))
+      .toBeRejectedWithError(/::1 is a private address/)
+    const context = await apex.jsonldContextLoader(`http://127.0.0.1:${port}/context`)
+    expect(context.document.id).toBe(`http://127.0.0.1:${port}/context`)
+  })
+  it('moves deliveries to private addresses to dead letters', async function () {
+    spyOn(apex, 'startDelivery')
+    await apex.queueForDelivery(testUser, { id: 'https://localhost/s/1' }, [`http://127.0.0.1:${port}/inbox`])
+    await apex.runDelivery(await apex.store.deliveryClaim('test', 60000))
+    const [dead] = await apex.getDeliveries({ dead: true })
+    expect(dead.error).toMatch(/127\.0\.0\.1 is a private address/)
+    expect(await apex.store.getHost('127.0.0.1:' + port)).toBeFalsy()
+  })
+})
@@ -0,0 +1,133 @@
+/* global describe, beforeAll, beforeEach, it, expect, spyOn, jasmine */
+describe('linked data signatures', function () {
+  let testUser
+  let apex
+  let client
+  let activity
+  beforeAll(async function () {
+    const init = await global.initApex()
+    testUser = init.testUser
+    apex = init.apex
+    client = init.client
+  })
+  beforeEach(async function () {
+    await global.resetDb(apex, client, testUser)
+    const act = await apex.buildActivity('Create', testUser.id, [apex.consts.publicAddress], {
+      object: { id: apex.utils.objectIdToIRI(), type: 'Note', content: 'Hello' }
+    })
+    activity = await apex.toJSONLD(act)
+  })
+  describe('signActivity', function () {
+    it('adds RsaSignature2017 signature', async function () {
+      const signed = await apex.signActivity(testUser, activity)
+      expect(signed.signature).toEqual({
+        type: 'RsaSignature2017',
+        creator: `${testUser.id}#main-key`,
+        created: jasmine.stringMatching(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/),
+        signatureValue: jasmine.any(String)
+      })
+      expect(activity.signature).toBeUndefined()
+      expect(signed.proof).toBeUndefined()
+    })
+    it('adds data integrity proof instead with ed25519 key', async function () {
+      const author = await apex.createActor('author', 'Author', '', null, 'Person', { ed25519: true })
+      const signed = await apex.signActivity(author, activity)
+      expect(signed.proof).toEqual({
+        type: 'DataIntegrityProof',
+        cryptosuite: 'eddsa-jcs-2022',
+        verificationMethod: `${author.id}#ed25519-key`,
+        proofPurpose: 'assertionMethod',
+        created: jasmine.stringMatching(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/),
+        proofValue: jasmine.stringMatching(/^z/)
+      })
+      expect(signed.signature).toBeUndefined()
+    })
+  })
+  describe('verifyActivitySignature', function () {
+    it('returns signer for valid signature', async function () {
+      const signed = await apex.signActivity(testUser, activity)
+      // as received
+      const received = JSON.parse(JSON.stringify(signed))
+      expect((await apex.verifyActivitySignature(received)).id).toBe(testUser.id)
+    })
+    it('returns null for modified activity', async function () {
+      const signed = await apex.signActivity(testUser, activity)
+      signed.object.content = 'Goodbye'
+      expect(await apex.verifyActivitySignature(signed)).toBeNull()
+    })
+    it('returns null for modified signature options', async function () {
+      const signed = await apex.signActivity(testUser, activity)
+      signed.signature.created = '2020-01-01T00:00:00Z'
+      expect(await apex.verifyActivitySignature(signed)).toBeNull()
+    })
+    it('returns null for unsigned activity', async function () {
+      expect(await apex.verifyActivitySignature(activity)).toBeNull()
+    })
+    describe('data integrity proof', function () {
+      let author
+      beforeEach(async function () {
+        author = await apex.createActor('author', 'Author', '', null, 'Person', { ed25519: true })
+        await apex.store.saveObject(author)
+      })
+      it('returns signer for valid proof', async function () {
+        const signed = await apex.signActivity(author, activity)
+        const received = JSON.parse(JSON.stringify(signed))
+        expect((await apex.verifyActivitySignature(received)).id).toBe(author.id)
+      })
+      it('returns null for modified activity', async function () {
+        const signed = await apex.signActivity(author, activity)
+        signed.object.content = 'Goodbye'
+        expect(await apex.verifyActivitySignature(signed)).toBeNull()
+      })
+      it('returns null for modified proof options', async function () {
+        const signed = await apex.signActivity(author, activity)
+        signed.proof.created = '2020-01-01T00:00:00Z'
+        expect(await apex.verifyActivitySignature(signed)).toBeNull()
+      })
+      it('returns null for proof by key not in assertionMethod', async function () {
+        const signed = await apex.signActivity(author, activity)
+        signed.proof.verificationMethod = `${author.id}#main-key`
+        expect(await apex.verifyActivitySignature(signed)).toBeNull()
+      })
+    })
+  })
+  describe('publishActivity', function () {
+    beforeEach(function () {
+      spyOn(apex, 'queueForDelivery').and.resolveTo(undefined)
+      spyOn(apex, 'address').and.resolveTo(['https://ignore.com/inbox/bob'])
+    })
+    it('signs public activities by the actor', async function () {
+      const act = await apex.fromJSONLD(activity)
+      await apex.publishActivity(testUser, act)
+      const [, outgoing] = apex.queueForDelivery.calls.argsFor(0)
+      expect((await apex.verifyActivitySignature(outgoing)).id).toBe(testUser.id)
+    })
+    it('signs activities with bcc as delivered', async function () {
+      const author = await apex.createActor('author', 'Author', '', null, 'Person', { ed25519: true })
+      await apex.store.saveObject(author)
+      for (const actor of [testUser, author]) {
+        const act = await apex.fromJSONLD({ ...activity, actor: actor.id, bcc: 'https://ignore.com/u/bob' })
+        await apex.publishActivity(actor, act)
+        const [, outgoing] = apex.queueForDelivery.calls.mostRecent().args
+        const delivered = JSON.parse(apex.stringifyPublicJSONLD(outgoing))
+        expect(delivered.bcc).toBeUndefined()
+        expect((await apex.verifyActivitySignature(delivered)).id).toBe(actor.id)
+      }
+    })
+    it('does not sign private activities', async function () {
+      const act = await apex.buildActivity('Create', testUser.id, ['https://ignore.com/u/bob'], {
+        object: { id: apex.utils.objectIdToIRI(), type: 'Note', content: 'Hello' }
+      })
+      await apex.publishActivity(testUser, act)
+      const [, outgoing] = apex.queueForDelivery.calls.argsFor(0)
+      expect(outgoing.signature).toBeUndefined()
+    })
+    it('does not sign forwarded activities', async function () {
+      const act = await apex.fromJSONLD(activity)
+      act.actor = ['https://ignore.com/u/bob']
+      await apex.publishActivity(testUser, act)
+      const [, outgoing] = apex.queueForDelivery.calls.argsFor(0)
+      expect(outgoing.signature).toBeUndefined()
+    })
+  })
+})
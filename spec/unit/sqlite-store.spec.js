@@ -0,0 +1,35 @@
+/* global describe, beforeEach, it, expect, expectAsync */
+const Database = require('better-sqlite3')
+const SqliteStore = require('../../store/sqlite')
+const storeConformance = require('../../store/conformance')
+
+storeConformance('sqlite store conformance', () => new SqliteStore(new Database(':memory:')), {
+  teardown: store => store.db.close()
+})
+
+describe('sqlite store', function () {
+  let store
+  const actor = {
+    id: 'https://localhost/u/test',
+    type: 'Person',
+    inbox: ['https://localhost/inbox/test'],
+    _meta: { privateKey: 'secret' }
+  }
+  beforeEach(async function () {
+    store = new SqliteStore(new Database(':memory:'))
+    await store.setup(actor)
+  })
+  it('can run setup repeatedly', async function () {
+    await store.setup(actor)
+    expect(await store.getObject(actor.id, true)).toEqual(actor)
+    expect(await store.getUserCount()).toBe(1)
+  })
+  it('rejects numeric page values', async function () {
+    await expectAsync(store.getStream(actor.inbox[0], 2, '5'))
+      .toBeRejectedWithError('ApexStore: invalid page value')
+  })
+  it('rejects unsupported query operators', async function () {
+    await expectAsync(store.getStream(actor.inbox[0], null, null, null, { type: { $regex: 'Create' } }))
+      .toBeRejectedWithError('Unsupported query operator $regex')
+  })
+})
@@ -1,4 +1,6 @@
-/* global describe, beforeAll, beforeEach, it, expect */
+/* global describe, beforeAll, beforeEach, jasmine, it, expect */
+const ApexStore = require('../../store')
+const storeConformance = require('../../store/conformance')
 
 describe('default store', function () {
   let testUser
@@ -51,13 +53,18 @@ describe('default store', function () {
         .deliveryEnqueue(testUser.id, 'hello', testUser.inbox, testUser._meta.privateKey)
       testUser._meta.privateKey = 'newkey'
       await apex.store.updateObject(testUser, testUser.id, true)
-      const updated = await apex.store.deliveryDequeue()
+      const updated = await apex.store.deliveryClaim('worker', 1000)
       delete updated.after
+      delete updated._id
       expect(updated).toEqual({
+        lockId: 'worker',
+        host: 'localhost',
+        priority: 0,
         actorId: testUser.id,
         body: 'hello',
         address: testUser.inbox[0],
         attempt: 0,
+        queuedAt: jasmine.any(Date),
         signingKey: 'newkey'
       })
     })
@@ -89,5 +96,27 @@ describe('default store', function () {
       const unfiltered = await apex.store.getStream(testUser.outbox[0], 10)
       expect(unfiltered.length).toBe(2)
     })
+    it('applies query descriptions via getCollection', async function () {
+      const arrive = await apex.buildActivity('Arrive', testUser.id, [testUser.id], {
+        target: [{ id: 'https://localhost/o/immer', type: 'Place' }]
+      })
+      apex.addMeta(arrive, 'collection', testUser.outbox[0])
+      await apex.store.saveActivity(arrive)
+      const note = await apex.buildActivity('Create', testUser.id, [testUser.id], {
+        object: [{ id: 'https://localhost/o/abc123', type: 'Note', content: ['Hello'] }]
+      })
+      apex.addMeta(note, 'collection', testUser.outbox[0])
+      await apex.store.saveActivity(note)
+      const page = await apex.getCollection(testUser.outbox[0], 'true', null, true, null, {
+        'target.type': 'Place'
+      })
+      expect(page.orderedItems.map(act => act.id)).toEqual([arrive.id])
+    })
+  })
+  storeConformance('conformance', async function () {
+    const store = new ApexStore()
+    store.db = client.db('apexTestingTempDb')
+    await store.db.dropDatabase()
+    return store
   })
 })
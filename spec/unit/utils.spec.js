@@ -155,6 +155,20 @@ describe('utils', function () {
         contextUrl: null
       })
     })
+    it('reports final url of redirected contexts', async function () {
+      nock('https://mocked.com')
+        .get('/context/v1')
+        .reply(302, undefined, {
+          Location: 'http://redirect.com/context/v1'
+        })
+      nock('http://redirect.com')
+        .get('/context/v1')
+        .reply(200, context)
+      const loaded = await apex.jsonldContextLoader('https://mocked.com/context/v1')
+      expect(loaded.documentUrl).toBe('http://redirect.com/context/v1')
+      expect((await apex.store.getContext('https://mocked.com/context/v1')).documentUrl)
+        .toBe('https://mocked.com/context/v1')
+    })
     it('uses cached context', async function () {
       await apex.store.saveContext({
         documentUrl: 'https://mocked.com/context/v1',
@@ -192,6 +206,19 @@ describe('utils', function () {
       expect(apex.validateOwner(testCustom, otherUser)).toBeFalse()
     })
   })
+  describe('validateOrigin', function () {
+    it('checks id, actor, and attributedTo are on the same origin', function () {
+      const note = { id: 'https://mocked.com/o/1', type: 'Note', attributedTo: ['https://mocked.com/u/mocked'] }
+      expect(apex.validateOrigin(note, 'https://mocked.com/u/mocked')).toBeTrue()
+      expect(apex.validateOrigin(note, 'https://mocked.com:8443/u/mocked')).toBeFalse()
+      expect(apex.validateOrigin(note, 'https://other.example/u/bob')).toBeFalse()
+      note.attributedTo = [{ id: 'https://other.example/u/bob', type: 'Person' }]
+      expect(apex.validateOrigin(note, 'https://mocked.com/u/mocked')).toBeFalse()
+      const activity = { id: 'https://mocked.com/s/1', type: 'Like', actor: ['https://other.example/u/bob'] }
+      expect(apex.validateOrigin(activity, 'https://mocked.com/u/mocked')).toBeFalse()
+      expect(apex.validateOrigin({ id: 'urn:uuid:1', type: 'Note' }, 'urn:uuid:2')).toBeFalse()
+    })
+  })
   describe('iriToCollectionInfoFactory', function () {
     it('decode IRIs', function () {
       expect(apex.utils.iriToCollectionInfo('https://localhost/inbox/test')).toEqual({
@@ -0,0 +1,621 @@
+'use strict'
+/* global describe, beforeEach, afterEach, it, expect, jasmine */
+
+/**
+ * Backend-agnostic test suite for IApexStore implementations.
+ * Call from a spec file of any jasmine or jest compatible test runner:
+ *   require('activitypub-express/store/conformance')('my store', () => new MyStore())
+ * @param  {string} name - suite description
+ * @param  {function} createStore - returns (a promise for) a new store with no stored data
+ * @param  {object} [options]
+ * @param  {function} [options.teardown] - called with the store after each spec
+ */
+module.exports = function storeConformance (name, createStore, options = {}) {
+  describe(name, function () {
+    let store
+    const actor = {
+      id: 'https://localhost/u/test',
+      type: 'Person',
+      inbox: ['https://localhost/inbox/test'],
+      outbox: ['https://localhost/outbox/test'],
+      _meta: { privateKey: 'secret' }
+    }
+    const remoteActor = { id: 'https://ignore.com/u/bob', type: 'Person' }
+    const inbox = actor.inbox[0]
+    function makeActivity (i, actorId = actor.id, type = 'Create') {
+      return {
+        id: `https://localhost/s/${i}`,
+        type,
+        actor: [actorId],
+        object: [{ id: `https://localhost/o/${i}`, type: 'Note', content: [`note ${i}`] }],
+        _meta: { collection: [inbox] }
+      }
+    }
+    function streamIds (stream) {
+      return stream.map(act => act.id)
+    }
+    async function expectRejection (fn, message) {
+      let error
+      try {
+        await fn()
+      } catch (err) {
+        error = err
+      }
+      expect(error?.message).toBe(message)
+    }
+
+    beforeEach(async function () {
+      store = await createStore()
+      await store.setup(actor)
+      await store.saveObject(remoteActor)
+    })
+    afterEach(async function () {
+      if (options.teardown) {
+        await options.teardown(store)
+      }
+    })
+
+    describe('objects', function () {
+      it('saves initial user during setup', async function () {
+        expect(await store.getObject(actor.id, true)).toEqual(actor)
+        expect(await store.getUserCount()).toBe(1)
+      })
+      it('only includes meta when requested', async function () {
+        const { _meta, ...publicActor } = actor
+        expect(await store.getObject(actor.id)).toEqual(publicActor)
+      })
+      it('returns null for missing objects', async function () {
+        expect(await store.getObject('https://localhost/o/missing')).toBeNull()
+      })
+      it('returns false when saving duplicate objects', async function () {
+        expect(await store.saveObject({ ...remoteActor, name: ['Bob'] })).toBe(false)
+        expect(await store.getObject(remoteActor.id)).toEqual(remoteActor)
+      })
+      it('applies partial updates', async function () {
+        const updated = await store.updateObject({ id: remoteActor.id, name: ['Bob'], type: null })
+        expect(updated).toEqual({ id: remoteActor.id, name: ['Bob'] })
+        expect(await store.getObject(remoteActor.id)).toEqual(updated)
+      })
+      it('applies full replacements', async function () {
+        const replacement = { id: remoteActor.id, type: 'Service', name: ['Bot'] }
+        await store.updateObject(replacement, remoteActor.id, true)
+        expect(await store.getObject(remoteActor.id)).toEqual(replacement)
+      })
+      it('lists actor inboxes, preferring shared inboxes', async function () {
+        const sharedInbox = 'https://mocked.com/inbox'
+        await store.saveObject({ id: 'https://mocked.com/u/a', type: 'Person', inbox: ['https://mocked.com/u/a/inbox'], endpoints: [{ sharedInbox: [sharedInbox] }] })
+        await store.saveObject({ id: 'https://mocked.com/u/b', type: 'Person', inbox: ['https://mocked.com/u/b/inbox'], endpoints: [{ sharedInbox: [sharedInbox] }] })
+        await store.saveObject({ id: 'https://mocked.com/u/c', type: 'Service', inbox: ['https://mocked.com/u/c/inbox'], endpoints: [{ id: 'https://mocked.com/u/c#endpoints' }] })
+        await store.saveObject({ id: 'https://mocked.com/o/1', type: 'Note' })
+        expect((await store.getActorInboxes()).sort()).toEqual([
+          'https://localhost/inbox/test',
+          sharedInbox,
+          'https://mocked.com/u/c/inbox'
+        ])
+      })
+    })
+
+    describe('contexts', function () {
+      it('saves and retrieves parsed documents', async function () {
+        const document = { '@context': { foo: 'https://localhost/ns#foo' } }
+        await store.saveContext({
+          contextUrl: null,
+          documentUrl: 'https://localhost/ns',
+          document: JSON.stringify(document)
+        })
+        expect(await store.getContext('https://localhost/ns')).toEqual({
+          contextUrl: null,
+          documentUrl: 'https://localhost/ns',
+          document
+        })
+        expect(await store.getContext('https://localhost/missing')).toBeNull()
+      })
+    })
+
+    describe('activities', function () {
+      beforeEach(async function () {
+        await store.saveActivity(makeActivity(1))
+      })
+      it('does not save duplicate activities', async function () {
+        expect(await store.saveActivity(makeActivity(1))).toBeFalsy()
+        expect(await store.getStreamCount(inbox)).toBe(1)
+      })
+      it('only includes meta when requested', async function () {
+        const { _meta, ...publicActivity } = makeActivity(1)
+        expect(await store.getActivity(publicActivity.id)).toEqual(publicActivity)
+        expect(await store.getActivity(publicActivity.id, true)).toEqual(makeActivity(1))
+        expect(await store.getActivity('https://localhost/s/missing')).toBeNull()
+      })
+      it('finds activities by collection and object or actor', async function () {
+        const follow = {
+          id: 'https://ignore.com/s/follow',
+          type: 'Follow',
+          actor: [remoteActor.id],
+          object: [actor.id],
+          _meta: { collection: ['https://localhost/followers/test'] }
+        }
+        await store.saveActivity(follow)
+        const { _meta, ...publicFollow } = follow
+        expect(await store.findActivityByCollectionAndObjectId(_meta.collection[0], actor.id))
+          .toEqual(publicFollow)
+        expect(await store.findActivityByCollectionAndActorId(_meta.collection[0], remoteActor.id, true))
+          .toEqual(follow)
+        expect(await store.findActivityByCollectionAndActorId(inbox, remoteActor.id)).toBeNull()
+        await store.updateActivityMeta(follow, 'collection', _meta.collection[0], true)
+        expect(await store.findActivityByCollectionAndActorId(_meta.collection[0], remoteActor.id)).toBeNull()
+      })
+      it('finds all activities by type and object reference', async function () {
+        const follows = [1, 2].map(i => ({
+          id: `https://ignore.com/s/follow${i}`,
+          type: 'Follow',
+          actor: [`https://ignore.com/u/${i}`],
+          object: [remoteActor.id],
+          _meta: { collection: [`https://localhost/following/${i}`] }
+        }))
+        for (const follow of follows) {
+          await store.saveActivity(follow)
+        }
+        await store.saveActivity({
+          id: 'https://ignore.com/s/like',
+          type: 'Like',
+          actor: [actor.id],
+          object: [remoteActor.id]
+        })
+        // embedded objects don't match
+        await store.saveActivity({
+          id: 'https://ignore.com/s/embedded',
+          type: 'Follow',
+          actor: [actor.id],
+          object: [remoteActor]
+        })
+        expect(await store.findActivitiesByTypeAndObjectId('Follow', remoteActor.id, true)).toEqual(follows)
+        const { _meta, ...publicFollow } = follows[0]
+        expect((await store.findActivitiesByTypeAndObjectId('Follow', remoteActor.id))[0]).toEqual(publicFollow)
+        expect(await store.findActivitiesByTypeAndObjectId('Follow', actor.id)).toEqual([])
+      })
+      it('adds meta values without duplicates', async function () {
+        const act = makeActivity(1)
+        let updated = await store.updateActivityMeta(act, 'collection', actor.outbox[0])
+        expect(updated._meta.collection).toEqual([inbox, actor.outbox[0]])
+        updated = await store.updateActivityMeta(act, 'collection', actor.outbox[0])
+        expect(updated._meta.collection).toEqual([inbox, actor.outbox[0]])
+        expect(await store.getStreamCount(actor.outbox[0])).toBe(1)
+      })
+      it('creates meta values for new keys', async function () {
+        const updated = await store.updateActivityMeta(makeActivity(1), 'deliverTo', remoteActor.id)
+        expect(updated._meta.deliverTo).toEqual([remoteActor.id])
+      })
+      it('removes meta values', async function () {
+        const updated = await store.updateActivityMeta(makeActivity(1), 'collection', inbox, true)
+        expect(updated._meta.collection).toEqual([])
+        expect(await store.getStreamCount(inbox)).toBe(0)
+      })
+      it('rejects meta updates for missing activities', async function () {
+        await expectRejection(
+          () => store.updateActivityMeta({ id: 'https://localhost/s/missing' }, 'collection', inbox),
+          'Error updating activity meta: not found'
+        )
+      })
+      it('applies partial activity updates', async function () {
+        await store.updateActivity({ id: 'https://localhost/s/1', summary: ['edited'] })
+        expect((await store.getActivity('https://localhost/s/1')).summary).toEqual(['edited'])
+      })
+      it('updates embedded copies of updated objects', async function () {
+        const note = { id: 'https://localhost/o/1', type: 'Note', content: ['edited'] }
+        await store.saveObject({ id: note.id, type: 'Note', content: ['note 1'] })
+        await store.updateObject(note, actor.id, true)
+        expect((await store.getActivity('https://localhost/s/1')).object).toEqual([note])
+      })
+      it('removes activities', async function () {
+        await store.removeActivity({ id: 'https://localhost/s/1' }, actor.id)
+        expect(await store.getActivity('https://localhost/s/1')).toBeNull()
+        expect(await store.getStreamCount(inbox)).toBe(0)
+      })
+    })
+
+    describe('streams', function () {
+      beforeEach(async function () {
+        for (let i = 1; i <= 3; i++) {
+          await store.saveActivity(makeActivity(i))
+        }
+        await store.saveActivity(makeActivity(4, remoteActor.id, 'Announce'))
+      })
+      it('returns newest first with embedded actors', async function () {
+        const stream = await store.getStream(inbox, 2)
+        expect(streamIds(stream)).toEqual(['https://localhost/s/4', 'https://localhost/s/3'])
+        expect(stream[0].actor).toEqual([remoteActor])
+        expect(stream[1].actor[0]._meta).toBeUndefined()
+        expect(stream[0]._meta).toBeUndefined()
+      })
+      it('pages after given item', async function () {
+        const first = await store.getStream(inbox, 2)
+        const second = await store.getStream(inbox, 2, first[1]._id)
+        expect(streamIds(second)).toEqual(['https://localhost/s/2', 'https://localhost/s/1'])
+        expect(await store.getStream(inbox, 2, second[1]._id)).toEqual([])
+      })
+      it('returns all items without limit', async function () {
+        expect((await store.getStream(inbox)).length).toBe(4)
+      })
+      it('rejects invalid page values', async function () {
+        await expectRejection(() => store.getStream(inbox, 2, 'nope'), 'ApexStore: invalid page value')
+      })
+      it('excludes activities from blocked actors', async function () {
+        const stream = await store.getStream(inbox, null, null, [remoteActor.id])
+        expect(streamIds(stream)).toEqual([
+          'https://localhost/s/3',
+          'https://localhost/s/2',
+          'https://localhost/s/1'
+        ])
+      })
+      it('excludes activities from unknown actors', async function () {
+        await store.saveActivity(makeActivity(5, 'https://ignore.com/u/unknown'))
+        expect(streamIds(await store.getStream(inbox, 1))).toEqual([])
+        expect(await store.getStreamCount(inbox)).toBe(5)
+      })
+      it('filters by query description values', async function () {
+        const stream = await store.getStream(inbox, null, null, null, { type: 'Announce' })
+        expect(streamIds(stream)).toEqual(['https://localhost/s/4'])
+      })
+      it('filters by query description operators', async function () {
+        let stream = await store.getStream(inbox, null, null, null, {
+          'object.id': { $in: ['https://localhost/o/1', 'https://localhost/o/2'] }
+        })
+        expect(streamIds(stream)).toEqual(['https://localhost/s/2', 'https://localhost/s/1'])
+        stream = await store.getStream(inbox, null, null, null, {
+          type: { $ne: 'Announce' },
+          actor: { $nin: ['https://localhost/u/other'] }
+        })
+        expect(streamIds(stream)).toEqual([
+          'https://localhost/s/3',
+          'https://localhost/s/2',
+          'https://localhost/s/1'
+        ])
+        stream = await store.getStream(inbox, null, null, null, { summary: { $exists: true } })
+        expect(stream).toEqual([])
+      })
+      it('combines query description with paging', async function () {
+        const query = { type: 'Create' }
+        const first = await store.getStream(inbox, 2, null, null, query)
+        expect(streamIds(first)).toEqual(['https://localhost/s/3', 'https://localhost/s/2'])
+        const second = await store.getStream(inbox, 2, first[1]._id, null, query)
+        expect(streamIds(second)).toEqual(['https://localhost/s/1'])
+      })
+    })
+
+    describe('hosts', function () {
+      const record = {
+        host: 'ignore.com',
+        failures: 3,
+        firstFailure: new Date(1000),
+        lastFailure: new Date(2000),
+        unreachableSince: new Date(2000),
+        nextProbe: new Date(3000),
+        prunedAt: null,
+        actors: [actor.id]
+      }
+      it('saves, replaces, and removes host records', async function () {
+        expect(await store.getHost('ignore.com')).toBeNull()
+        await store.saveHost(record)
+        expect(await store.getHost('ignore.com')).toEqual(record)
+        const updated = { ...record, failures: 4, prunedAt: new Date(4000) }
+        await store.saveHost(updated)
+        expect(await store.getHost('ignore.com')).toEqual(updated)
+        expect(await store.removeHost('ignore.com')).toBe(true)
+        expect(await store.getHost('ignore.com')).toBeNull()
+      })
+      it('records concurrent failures atomically', async function () {
+        const other = 'https://localhost/u/other'
+        await Promise.all([
+          store.saveHostFailure('ignore.com', actor.id, new Date(2000)),
+          store.saveHostFailure('ignore.com', other, new Date(1000)),
+          store.saveHostFailure('ignore.com', actor.id, new Date(3000))
+        ])
+        const saved = await store.getHost('ignore.com')
+        expect(saved).toEqual({
+          host: 'ignore.com',
+          failures: 3,
+          firstFailure: new Date(1000),
+          lastFailure: new Date(3000),
+          unreachableSince: null,
+          nextProbe: null,
+          prunedAt: null,
+          actors: jasmine.arrayWithExactContents([actor.id, other])
+        })
+        expect(await store.saveHostFailure('ignore.com', other, new Date(4000)))
+          .toEqual({ ...saved, failures: 4, lastFailure: new Date(4000) })
+      })
+      it('updates host records only if current values match', async function () {
+        await store.saveHost(record)
+        expect(await store.updateHost('ignore.com', { prunedAt: new Date(4000) }, { prunedAt: null })).toBe(true)
+        expect(await store.updateHost('ignore.com', { prunedAt: new Date(5000) }, { prunedAt: null })).toBe(false)
+        expect(await store.updateHost('ignore.com', { nextProbe: new Date(6000) }, { nextProbe: new Date(1) })).toBe(false)
+        expect(await store.updateHost('ignore.com', { nextProbe: new Date(6000) }, { nextProbe: new Date(3000) })).toBe(true)
+        expect(await store.updateHost('mocked.com', { prunedAt: new Date(4000) }, { prunedAt: null })).toBe(false)
+        expect(await store.getHost('ignore.com'))
+          .toEqual({ ...record, prunedAt: new Date(4000), nextProbe: new Date(6000) })
+      })
+    })
+
+    describe('signatures', function () {
+      it('saves and replaces signature formats by host', async function () {
+        expect(await store.getSignatureFormat('ignore.com')).toBeNull()
+        await store.saveSignatureFormat('ignore.com', 'rfc9421')
+        await store.saveSignatureFormat('mocked.com', 'cavage')
+        expect(await store.getSignatureFormat('ignore.com')).toBe('rfc9421')
+        await store.saveSignatureFormat('ignore.com', 'cavage')
+        expect(await store.getSignatureFormat('ignore.com')).toBe('cavage')
+      })
+      it('remembers signatures until they expire', async function () {
+        const expires = new Date(Date.now() + 60000)
+        expect(await store.rememberSignature('abc==', expires)).toBe(true)
+        expect(await store.rememberSignature('abc==', expires)).toBe(false)
+        expect(await store.rememberSignature('def==', expires)).toBe(true)
+      })
+      it('accepts signatures again after they expire', async function () {
+        expect(await store.rememberSignature('abc==', new Date(Date.now() - 1000))).toBe(true)
+        expect(await store.rememberSignature('abc==', new Date(Date.now() + 60000))).toBe(true)
+        expect(await store.rememberSignature('abc==', new Date(Date.now() + 60000))).toBe(false)
+      })
+    })
+
+    describe('domain policies', function () {
+      const suspended = {
+        domain: 'ignore.com',
+        severity: 'suspend',
+        rejectMedia: true,
+        allow: false,
+        comment: 'spam',
+        updated: new Date('2024-01-01T00:00:00Z')
+      }
+      const allowed = { ...suspended, domain: 'mocked.com', severity: null, rejectMedia: false, allow: true, comment: null }
+      it('saves, replaces, and removes policies', async function () {
+        expect(await store.getDomainPolicies()).toEqual([])
+        await store.saveDomainPolicy(suspended)
+        await store.saveDomainPolicy(allowed)
+        expect(await store.getDomainPolicies(['ignore.com', 'other.com'])).toEqual([suspended])
+        const silenced = { ...suspended, severity: 'silence' }
+        await store.saveDomainPolicy(silenced)
+        const all = await store.getDomainPolicies()
+        expect(all.sort((a, b) => a.domain.localeCompare(b.domain))).toEqual([silenced, allowed])
+        expect(await store.removeDomainPolicy('ignore.com')).toBe(true)
+        expect(await store.removeDomainPolicy('ignore.com')).toBe(false)
+        expect(await store.getDomainPolicies()).toEqual([allowed])
+      })
+    })
+
+    describe('proxy responses', function () {
+      const object = { id: 'https://ignore.com/o/1', type: 'Note', content: ['hi'] }
+      it('saves and replaces responses by url and viewer', async function () {
+        const expires = new Date(Date.now() + 60000)
+        expect(await store.getProxyResponse(object.id, null)).toBeNull()
+        await store.saveProxyResponse({ url: object.id, viewer: null, object, expires })
+        await store.saveProxyResponse({ url: object.id, viewer: actor.id, object: { ...object, content: ['private'] }, expires })
+        expect(await store.getProxyResponse(object.id, null)).toEqual({ url: object.id, viewer: null, object, expires })
+        expect((await store.getProxyResponse(object.id, actor.id)).object.content).toEqual(['private'])
+        expect(await store.getProxyResponse(object.id, 'https://localhost/u/other')).toBeNull()
+        await store.saveProxyResponse({ url: object.id, viewer: null, object: { ...object, content: ['updated'] }, expires })
+        expect((await store.getProxyResponse(object.id, null)).object.content).toEqual(['updated'])
+      })
+      it('does not return expired responses', async function () {
+        await store.saveProxyResponse({ url: object.id, viewer: null, object, expires: new Date(Date.now() - 1000) })
+        expect(await store.getProxyResponse(object.id, null)).toBeNull()
+      })
+    })
+
+    describe('delivery queue', function () {
+      const lease = 60000
+      it('claims in order of scheduling', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', ['https://ignore.com/a', 'https://ignore.com/b'], 'key')
+        const { _id, after, queuedAt, ...first } = await store.deliveryClaim('worker1', lease)
+        expect(first).toEqual({
+          actorId: actor.id,
+          address: 'https://ignore.com/a',
+          host: 'ignore.com',
+          priority: 0,
+          body: 'body',
+          signingKey: 'key',
+          attempt: 0,
+          lockId: 'worker1'
+        })
+        expect(after instanceof Date).toBe(true)
+        expect(queuedAt instanceof Date).toBe(true)
+        expect((await store.deliveryClaim('worker1', lease)).address).toBe('https://ignore.com/b')
+      })
+      it('hides claimed deliveries until lease expires', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key')
+        const before = Date.now()
+        const claimed = await store.deliveryClaim('worker1', lease)
+        const next = await store.deliveryClaim('worker2', lease)
+        expect(next.waitUntil.getTime()).toBeGreaterThanOrEqual(before + lease)
+        expect(next.waitUntil.getTime()).toBeLessThanOrEqual(Date.now() + lease)
+        expect(claimed.after).toEqual(next.waitUntil)
+      })
+      it('allows expired leases to be claimed by another worker', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key')
+        const lost = await store.deliveryClaim('worker1', 0)
+        const reclaimed = await store.deliveryClaim('worker2', lease)
+        expect(reclaimed.address).toBe('https://ignore.com/a')
+        expect(reclaimed.lockId).toBe('worker2')
+        // original worker can no longer complete or requeue
+        expect(await store.deliveryComplete(lost)).toBe(false)
+        expect(await store.deliveryRequeue(lost)).toBe(false)
+        expect(await store.deliveryComplete(reclaimed)).toBe(true)
+        expect(await store.deliveryClaim('worker1', lease)).toBeNull()
+      })
+      it('removes completed deliveries', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', ['https://ignore.com/a', 'https://ignore.com/b'], 'key')
+        expect(await store.deliveryComplete(await store.deliveryClaim('worker1', lease))).toBe(true)
+        expect(await store.deliveryComplete(await store.deliveryClaim('worker1', lease))).toBe(true)
+        expect(await store.deliveryClaim('worker1', lease)).toBeNull()
+      })
+      it('ignores empty address lists', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', [], 'key')
+        expect(await store.deliveryClaim('worker1', lease)).toBeNull()
+      })
+      it('requeues with backoff and releases lease', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key')
+        const delivery = await store.deliveryClaim('worker1', lease)
+        // attempt 6 schedules 1000 seconds out
+        delivery.attempt = 6
+        const before = Date.now()
+        expect(await store.deliveryRequeue(delivery)).toBe(true)
+        expect(delivery.attempt).toBe(7)
+        expect(delivery.after.getTime()).toBeGreaterThanOrEqual(before + Math.pow(10, 6))
+        const next = await store.deliveryClaim('worker1', lease)
+        expect(next.waitUntil).toEqual(delivery.after)
+      })
+      it('claims requeued deliveries when due', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key')
+        const delivery = await store.deliveryClaim('worker1', lease)
+        // first retry is scheduled 1ms out
+        await store.deliveryRequeue(delivery)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        const retry = await store.deliveryClaim('worker2', lease)
+        expect(retry.address).toBe('https://ignore.com/a')
+        expect(retry.lockId).toBe('worker2')
+      })
+      it('claims lower priority values first', async function () {
+        await store.deliveryEnqueue(actor.id, 'bulk', 'https://ignore.com/a', 'key', 1)
+        await store.deliveryEnqueue(actor.id, 'interactive', 'https://ignore.com/b', 'key', 0)
+        expect((await store.deliveryClaim('worker1', lease)).body).toBe('interactive')
+        expect((await store.deliveryClaim('worker1', lease)).body).toBe('bulk')
+      })
+      it('filters claims by host, actor, and priority', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key', 1)
+        await store.deliveryEnqueue(remoteActor.id, 'body', 'https://mocked.com/a', 'key', 1)
+        await store.deliveryEnqueue(remoteActor.id, 'body', 'https://other.com/a', 'key', 0)
+        const options = { excludeHosts: ['ignore.com'], excludeActors: [actor.id], maxPriority: 0 }
+        expect((await store.deliveryClaim('worker1', lease, options)).address).toBe('https://other.com/a')
+        const next = await store.deliveryClaim('worker1', lease, options)
+        // reports earliest scheduled time, even if delivery is excluded
+        expect(next.waitUntil.getTime()).toBeLessThanOrEqual(Date.now())
+        delete options.maxPriority
+        expect((await store.deliveryClaim('worker1', lease, options)).address).toBe('https://mocked.com/a')
+        expect((await store.deliveryClaim('worker1', lease)).address).toBe('https://ignore.com/a')
+      })
+      it('requeues at given time without counting an attempt', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key')
+        const delivery = await store.deliveryClaim('worker1', lease)
+        const after = new Date(Date.now() + lease * 2)
+        expect(await store.deliveryRequeue(delivery, after)).toBe(true)
+        expect(delivery.attempt).toBe(0)
+        expect((await store.deliveryClaim('worker1', lease)).waitUntil).toEqual(after)
+      })
+      it('saves attempt count when requeued at given time', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key')
+        const delivery = await store.deliveryClaim('worker1', lease)
+        delivery.attempt = 3
+        expect(await store.deliveryRequeue(delivery, new Date())).toBe(true)
+        const reclaimed = await store.deliveryClaim('worker1', lease)
+        expect(reclaimed.attempt).toBe(3)
+        expect(reclaimed.queuedAt).toEqual(delivery.queuedAt)
+      })
+      it('reschedules unclaimed deliveries to a host', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', ['https://ignore.com/a', 'https://ignore.com/b'], 'key')
+        await store.deliveryEnqueue(actor.id, 'body', 'https://mocked.com/a', 'key')
+        const claimed = await store.deliveryClaim('worker1', lease)
+        const parkUntil = new Date(Date.now() + lease * 2)
+        expect(await store.deliveryRescheduleHost('ignore.com', parkUntil)).toBe(1)
+        expect((await store.deliveryClaim('worker1', lease)).address).toBe('https://mocked.com/a')
+        // claimed delivery not affected
+        expect((await store.deliveryClaim('worker1', lease)).waitUntil).toEqual(claimed.after)
+        await store.deliveryRescheduleHost('ignore.com', new Date())
+        expect((await store.deliveryClaim('worker1', lease)).address).toBe('https://ignore.com/b')
+      })
+      it('updates signing keys of queued deliveries', async function () {
+        await store.deliveryEnqueue(actor.id, 'body', 'https://ignore.com/a', 'key')
+        await store.updateObject({ ...actor, _meta: { privateKey: 'newkey' } }, actor.id, true)
+        expect((await store.deliveryClaim('worker1', lease)).signingKey).toBe('newkey')
+      })
+    })
+    describe('dead letters', function () {
+      const lease = 60000
+      const other = 'https://localhost/u/other'
+      beforeEach(async function () {
+        await store.deliveryEnqueue(actor.id, 'body', ['https://ignore.com/a', 'https://mocked.com/a'], 'key')
+        await store.deliveryEnqueue(other, 'body', 'https://ignore.com/b', 'key2')
+      })
+      it('moves failed deliveries to dead letters', async function () {
+        const delivery = await store.deliveryClaim('worker1', lease)
+        delivery.attempt = 11
+        expect(await store.deliveryFail(delivery, { statusCode: 503, error: 'Request status 503' })).toBe(true)
+        const [dead, ...rest] = await store.deliveryList({ dead: true })
+        expect(rest).toEqual([])
+        const { _id, after, failedAt, queuedAt, ...fields } = dead
+        expect(_id).toEqual(delivery._id)
+        expect(queuedAt).toEqual(delivery.queuedAt)
+        expect(failedAt instanceof Date).toBe(true)
+        expect(fields).toEqual({
+          actorId: actor.id,
+          address: 'https://ignore.com/a',
+          host: 'ignore.com',
+          priority: 0,
+          body: 'body',
+          attempt: 0,
+          statusCode: 503,
+          error: 'Request status 503'
+        })
+        expect(await store.deliveryCount()).toBe(2)
+        expect(await store.deliveryCount({ dead: true })).toBe(1)
+        // can't fail again
+        expect(await store.deliveryFail(delivery, {})).toBe(false)
+      })
+      it('does not fail deliveries after lease is lost', async function () {
+        const lost = await store.deliveryClaim('worker1', 0)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        await store.deliveryClaim('worker2', lease, { excludeActors: [other] })
+        expect(await store.deliveryFail(lost, { error: 'timeout' })).toBe(false)
+        expect(await store.deliveryCount({ dead: true })).toBe(0)
+      })
+      it('lists and counts deliveries by actor and host', async function () {
+        const list = await store.deliveryList({ host: 'ignore.com' })
+        expect(list.map(delivery => delivery.address))
+          .toEqual(['https://ignore.com/a', 'https://ignore.com/b'])
+        expect(list.every(delivery => delivery.signingKey === undefined)).toBe(true)
+        expect((await store.deliveryList({ actorId: other })).map(delivery => delivery.address))
+          .toEqual(['https://ignore.com/b'])
+        expect((await store.deliveryList({}, 1)).length).toBe(1)
+        expect(await store.deliveryCount({ actorId: actor.id })).toBe(2)
+        expect(await store.deliveryCount({ actorId: actor.id, host: 'mocked.com' })).toBe(1)
+      })
+      it('finds deliveries by id or its string form', async function () {
+        const [, second] = await store.deliveryList()
+        expect((await store.deliveryList({ _id: second._id }))[0].address).toBe(second.address)
+        expect((await store.deliveryList({ _id: second._id.toString() }))[0].address).toBe(second.address)
+        expect(await store.deliveryList({ _id: 'nope' })).toEqual([])
+      })
+      it('returns dead letters to the queue', async function () {
+        const failed = [
+          await store.deliveryClaim('worker1', lease),
+          await store.deliveryClaim('worker1', lease)
+        ]
+        for (const delivery of failed) {
+          delivery.attempt = 11
+          await store.deliveryFail(delivery, { error: 'ENOTFOUND' })
+        }
+        expect(await store.deliveryRetry({ actorId: other })).toBe(0)
+        await store.deliveryPurge({ actorId: other })
+        expect(await store.deliveryRetry({ host: 'mocked.com' })).toBe(1)
+        expect(await store.deliveryCount({ dead: true })).toBe(1)
+        const retried = await store.deliveryClaim('worker1', lease)
+        expect(retried.address).toBe('https://mocked.com/a')
+        expect(retried.attempt).toBe(0)
+        expect(retried.queuedAt.getTime()).toBeGreaterThanOrEqual(failed[1].queuedAt.getTime())
+        expect(retried.signingKey).toBe('key')
+        expect(retried.statusCode).toBeUndefined()
+        expect(await store.deliveryComplete(retried)).toBe(true)
+        expect(await store.deliveryRetry()).toBe(1)
+        expect(await store.deliveryCount({ dead: true })).toBe(0)
+      })
+      it('purges queued and dead deliveries', async function () {
+        await store.deliveryFail(await store.deliveryClaim('worker1', lease), {})
+        expect(await store.deliveryPurge({ host: 'ignore.com' })).toBe(1)
+        expect(await store.deliveryCount()).toBe(1)
+        expect(await store.deliveryPurge({ dead: true })).toBe(1)
+        expect(await store.deliveryCount({ dead: true })).toBe(0)
+        expect(await store.deliveryPurge()).toBe(1)
+        expect(await store.deliveryClaim('worker1', lease)).toBeNull()
+      })
+    })
+  })
+}
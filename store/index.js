@@ -3,9 +3,27 @@ const mongo = require('mongodb')
 const { escape, unescape } = require('mongo-escape')
 const merge = require('deepmerge')
 const IApexStore = require('./interface')
+const { validateQuery } = require('./query')
 function escapeClone (obj) {
   return escape(merge({}, obj))
 }
+// translate store-neutral delivery list filter to mongo query
+function deliveryFilter ({ actorId, host, _id }) {
+  const filter = {}
+  if (actorId !== undefined) {
+    filter.actorId = actorId
+  }
+  if (host !== undefined) {
+    filter.host = host
+  }
+  if (typeof _id === 'string') {
+    // id from a query string, invalid ids match nothing
+    filter._id = mongo.ObjectId.isValid(_id) ? new mongo.ObjectId(_id) : null
+  } else if (_id !== undefined) {
+    filter._id = _id
+  }
+  return filter
+}
 const localUserQuery = { type: 'Person', '_meta.privateKey': { $exists: true } }
 
 class ApexStore extends IApexStore {
@@ -15,16 +33,20 @@ class ApexStore extends IApexStore {
     this.metaProj = { _id: 0 }
   }
 
-  async deliveryEnqueue (actorId, body, addresses, signingKey) {
+  async deliveryEnqueue (actorId, body, addresses, signingKey, priority = 0) {
     if (!addresses || !addresses.length) return
     if (!Array.isArray(addresses)) { addresses = [addresses] }
+    const now = new Date()
     const docs = addresses.map(address => ({
       address,
+      host: new URL(address).host,
       actorId,
       signingKey,
       body,
+      priority,
       attempt: 0,
-      after: new Date()
+      after: now,
+      queuedAt: now
     }))
     await this.db.collection('deliveryQueue')
       .insertMany(docs, { ordered: false, forceServerObjectId: true })
@@ -32,13 +54,23 @@ class ApexStore extends IApexStore {
     return true
   }
 
-  async deliveryDequeue () {
-    const queryOptions = {
-      sort: { after: 1, _id: 1 },
-      projection: { _id: 0 }
+  async deliveryClaim (lockId, leaseTime, options = {}) {
+    const now = new Date()
+    const filter = { after: { $lte: now } }
+    if (options.excludeHosts?.length) {
+      filter.host = { $nin: options.excludeHosts }
     }
-    const result = await this.db.collection('deliveryQueue')
-      .findOneAndDelete({ after: { $lte: new Date() } }, queryOptions)
+    if (options.excludeActors?.length) {
+      filter.actorId = { $nin: options.excludeActors }
+    }
+    if (options.maxPriority !== undefined) {
+      filter.priority = { $not: { $gt: options.maxPriority } }
+    }
+    const result = await this.db.collection('deliveryQueue').findOneAndUpdate(
+      filter,
+      { $set: { after: new Date(now.getTime() + leaseTime), lockId } },
+      { sort: { priority: 1, after: 1, _id: 1 }, returnDocument: 'after' }
+    )
     if (result.value) {
       return result.value
     }
@@ -48,11 +80,174 @@ class ApexStore extends IApexStore {
     return next ? { waitUntil: next.after } : null
   }
 
-  async deliveryRequeue (delivery) {
-    const nextTime = delivery.after.getTime() + Math.pow(10, delivery.attempt++)
-    delivery.after = new Date(nextTime)
+  async deliveryComplete (delivery) {
     const result = await this.db.collection('deliveryQueue')
-      .insertOne(delivery, { forceServerObjectId: true })
+      .deleteOne({ _id: delivery._id, lockId: delivery.lockId })
+    return result.deletedCount === 1
+  }
+
+  async deliveryRequeue (delivery, after) {
+    if (after) {
+      delivery.after = after
+    } else {
+      delivery.after = new Date(Date.now() + Math.pow(10, delivery.attempt++))
+    }
+    const result = await this.db.collection('deliveryQueue').updateOne(
+      { _id: delivery._id, lockId: delivery.lockId },
+      { $set: { after: delivery.after, attempt: delivery.attempt }, $unset: { lockId: '' } }
+    )
+    return result.modifiedCount === 1
+  }
+
+  async deliveryFail (delivery, result = {}) {
+    const removed = await this.db.collection('deliveryQueue')
+      .findOneAndDelete({ _id: delivery._id, lockId: delivery.lockId })
+    if (!removed.value) {
+      return false
+    }
+    const { lockId, ...failed } = removed.value
+    await this.db.collection('deliveryDeadLetters').insertOne({
+      ...failed,
+      statusCode: result.statusCode ?? null,
+      error: result.error ?? null,
+      failedAt: new Date()
+    })
+    return true
+  }
+
+  deliveryList (filter = {}, limit) {
+    return this.db.collection(filter.dead ? 'deliveryDeadLetters' : 'deliveryQueue')
+      .find(deliveryFilter(filter), { projection: { signingKey: 0 } })
+      .sort({ _id: 1 })
+      .limit(limit ?? 0)
+      .toArray()
+  }
+
+  deliveryCount (filter = {}) {
+    return this.db.collection(filter.dead ? 'deliveryDeadLetters' : 'deliveryQueue')
+      .countDocuments(deliveryFilter(filter))
+  }
+
+  async deliveryRetry (filter = {}) {
+    const dead = await this.db.collection('deliveryDeadLetters')
+      .find(deliveryFilter(filter))
+      .toArray()
+    if (!dead.length) {
+      return 0
+    }
+    const after = new Date()
+    const docs = dead.map(({ statusCode, error, failedAt, ...delivery }) => {
+      return { ...delivery, attempt: 0, after, queuedAt: after }
+    })
+    await this.db.collection('deliveryQueue').insertMany(docs, { ordered: false })
+    await this.db.collection('deliveryDeadLetters')
+      .deleteMany({ _id: { $in: dead.map(delivery => delivery._id) } })
+    return dead.length
+  }
+
+  async deliveryPurge (filter = {}) {
+    const result = await this.db.collection(filter.dead ? 'deliveryDeadLetters' : 'deliveryQueue')
+      .deleteMany(deliveryFilter(filter))
+    return result.deletedCount
+  }
+
+  async deliveryRescheduleHost (host, after) {
+    const result = await this.db.collection('deliveryQueue')
+      .updateMany({ host, lockId: { $exists: false } }, { $set: { after } })
+    return result.modifiedCount
+  }
+
+  getHost (host) {
+    return this.db.collection('hosts')
+      .findOne({ host }, { projection: { _id: 0 } })
+  }
+
+  async saveHost (record) {
+    const result = await this.db.collection('hosts')
+      .replaceOne({ host: record.host }, record, { upsert: true })
+    return result.acknowledged
+  }
+
+  async saveHostFailure (host, actorId, failedAt) {
+    const result = await this.db.collection('hosts').findOneAndUpdate({ host }, {
+      $inc: { failures: 1 },
+      $min: { firstFailure: failedAt },
+      $max: { lastFailure: failedAt },
+      $addToSet: { actors: actorId },
+      $setOnInsert: { unreachableSince: null, nextProbe: null, prunedAt: null }
+    }, { upsert: true, returnDocument: 'after', projection: { _id: 0 } })
+    return result.value
+  }
+
+  async updateHost (host, changes, expected) {
+    const result = await this.db.collection('hosts')
+      .updateOne({ ...expected, host }, { $set: changes })
+    return result.modifiedCount === 1
+  }
+
+  async removeHost (host) {
+    const result = await this.db.collection('hosts').deleteOne({ host })
+    return result.deletedCount === 1
+  }
+
+  getDomainPolicies (domains) {
+    return this.db.collection('domainPolicies')
+      .find(domains ? { domain: { $in: domains } } : {}, { projection: { _id: 0 } })
+      .toArray()
+  }
+
+  async saveDomainPolicy (record) {
+    const result = await this.db.collection('domainPolicies')
+      .replaceOne({ domain: record.domain }, record, { upsert: true })
+    return result.acknowledged
+  }
+
+  async removeDomainPolicy (domain) {
+    const result = await this.db.collection('domainPolicies').deleteOne({ domain })
+    return result.deletedCount === 1
+  }
+
+  async getSignatureFormat (host) {
+    const record = await this.db.collection('signatureFormats').findOne({ host })
+    return record?.format ?? null
+  }
+
+  async saveSignatureFormat (host, format) {
+    const result = await this.db.collection('signatureFormats')
+      .updateOne({ host }, { $set: { format } }, { upsert: true })
+    return result.acknowledged
+  }
+
+  async rememberSignature (signature, expires) {
+    // replace expired entry not yet removed by the TTL index, otherwise insert only if new
+    const result = await this.db.collection('signatures').updateOne(
+      { _id: signature, expires: { $lte: new Date() } },
+      { $set: { expires } },
+      { upsert: true }
+    ).catch(err => {
+      // duplicate key: unexpired entry exists
+      if (err.code === 11000) return null
+      throw err
+    })
+    return !!(result?.modifiedCount || result?.upsertedCount)
+  }
+
+  async getProxyResponse (url, viewer) {
+    const record = await this.db.collection('proxyResponses')
+      .findOne({ url, viewer, expires: { $gt: new Date() } }, { projection: { _id: 0 } })
+    if (!record) {
+      return null
+    }
+    // stored as a string, as JSON-LD keys are not valid field names
+    return { ...record, object: JSON.parse(record.object) }
+  }
+
+  async saveProxyResponse (record) {
+    const result = await this.db.collection('proxyResponses').replaceOne(
+      { url: record.url, viewer: record.viewer },
+      { url: record.url, viewer: record.viewer, object: JSON.stringify(record.object), expires: record.expires },
+      { upsert: true }
+    )
     return result.acknowledged
   }
 
@@ -77,11 +272,38 @@ class ApexStore extends IApexStore {
     }, {
       name: 'stream-object-updates'
     })
+    // activities by type and object reference, e.g. follows of an actor
+    await db.collection('streams').createIndex({
+      type: 1,
+      object: 1
+    }, {
+      name: 'stream-type-object'
+    })
     // object lookup
     await db.collection('objects')
       .createIndex({ id: 1 }, { unique: true, name: 'objects-primary' })
     await db.collection('deliveryQueue')
       .createIndex({ after: 1, _id: 1 }, { name: 'delivery-dequeue' })
+    await db.collection('deliveryQueue')
+      .createIndex({ priority: 1, after: 1, _id: 1 }, { name: 'delivery-claim' })
+    await db.collection('deliveryQueue')
+      .createIndex({ host: 1 }, { name: 'delivery-host' })
+    await db.collection('deliveryDeadLetters')
+      .createIndex({ actorId: 1 }, { name: 'dead-letter-actor' })
+    await db.collection('deliveryDeadLetters')
+      .createIndex({ host: 1 }, { name: 'dead-letter-host' })
+    await db.collection('hosts')
+      .createIndex({ host: 1 }, { unique: true, name: 'hosts-primary' })
+    await db.collection('signatureFormats')
+      .createIndex({ host: 1 }, { unique: true, name: 'signature-formats-primary' })
+    await db.collection('signatures')
+      .createIndex({ expires: 1 }, { expireAfterSeconds: 0, name: 'signatures-ttl' })
+    await db.collection('domainPolicies')
+      .createIndex({ domain: 1 }, { unique: true, name: 'domain-policies-primary' })
+    await db.collection('proxyResponses')
+      .createIndex({ url: 1, viewer: 1 }, { unique: true, name: 'proxy-responses-primary' })
+    await db.collection('proxyResponses')
+      .createIndex({ expires: 1 }, { expireAfterSeconds: 0, name: 'proxy-responses-ttl' })
     await db.collection('objects')
       .createIndex({ id: 1, type: 1 }, { name: 'local-user-count', partialFilterExpression: localUserQuery })
     // also need partial index on stream.object.object.id for object updates when
@@ -123,6 +345,23 @@ class ApexStore extends IApexStore {
       })
   }
 
+  async getActorInboxes () {
+    const results = await this.db.collection('objects').aggregate([
+      { $match: { inbox: { $exists: true } } },
+      {
+        $group: {
+          _id: {
+            $ifNull: [
+              { $arrayElemAt: [{ $arrayElemAt: ['$endpoints.sharedInbox', 0] }, 0] },
+              { $arrayElemAt: ['$inbox', 0] }
+            ]
+          }
+        }
+      }
+    ]).toArray()
+    return results.map(result => result._id)
+  }
+
   async updateObject (obj, actorId, fullReplace) {
     const updated = await this
       .updateObjectSource(escapeClone(obj), actorId, fullReplace)
@@ -160,6 +399,14 @@ class ApexStore extends IApexStore {
       .then(act => unescape(act))
   }
 
+  async findActivitiesByTypeAndObjectId (type, objectId, includeMeta) {
+    const activities = await this.db.collection('streams')
+      .find({ type, object: objectId })
+      .project(includeMeta ? this.metaProj : this.projection)
+      .toArray()
+    return activities.map(act => unescape(act))
+  }
+
   getContext (documentUrl) {
     return this.db.collection('contexts')
       .findOne({ documentUrl }, { projection: { _id: 0 } })
@@ -187,10 +434,11 @@ class ApexStore extends IApexStore {
    * @param  {number} limit - max number of activities to return
    * @param  {string} [after] - mongodb _id to begin querying after (i.e. last item of last page)
    * @param  {string[]} [blockList] - list of ids of actors whose activities should be excluded
-   * @param  {object[]} [query] - additional aggretation pipeline stages to include
+   * @param  {object} [query] - additional filtering, see store/query.js. An array of
+   *   aggregation pipeline stages is also accepted for backwards compatibility (deprecated)
    * @returns {Promise<object[]>}
    */
-  getStream (collectionId, limit, after, blockList, query) {
+  async getStream (collectionId, limit, after, blockList, query) {
     const pipeline = []
     const filter = { '_meta.collection': collectionId }
     if (after && !mongo.ObjectId.isValid(after)) {
@@ -203,8 +451,11 @@ class ApexStore extends IApexStore {
       filter.actor = { $nin: blockList }
     }
     pipeline.push({ $match: filter })
-    if (query) {
+    if (Array.isArray(query)) {
       pipeline.push(...query)
+    } else if (query) {
+      // query descriptions are a subset of mongodb query syntax
+      pipeline.push({ $match: validateQuery(query) })
     }
     pipeline.push({ $sort: { _id: -1 } })
     if (limit) {
@@ -27,13 +27,25 @@ module.exports = class IApexStore {
     throw new Error('Not implemented')
   }
 
+  /**
+   * Find all activities of a type that reference an object by id, e.g. follows of an actor.
+   * Does not match activities with the object embedded
+   * @param  {string} type
+   * @param  {string} objectId
+   * @param  {boolean} [includeMeta]
+   * @returns {Promise<object[]>}
+   */
+  findActivitiesByTypeAndObjectId (type, objectId, includeMeta) {
+    throw new Error('Not implemented')
+  }
+
   /**
    * Return a specific collection (stream of activitites), e.g. a user's inbox
    * @param  {string} collectionId - collection identifier
    * @param  {number} limit - max number of activities to return
    * @param  {string} [after] - id to begin querying after (i.e. last item of last page)
    * @param  {string[]} [blockList] - list of ids of actors whose activities should be excluded
-   * @param  {any} [query] - additional query/aggregation
+   * @param  {object} [query] - backend-neutral query description to filter by, see store/query.js
    * @returns {Promise<object[]>}
    */
   getStream (collectionId, limit, after, blockList, query) {
@@ -80,15 +92,242 @@ module.exports = class IApexStore {
     throw new Error('Not implemented')
   }
 
-  deliveryDequeue () {
+  /**
+   * Inboxes of all stored actors, using their shared inbox if they have one
+   * @returns {Promise<string[]>} distinct inbox IRIs
+   */
+  getActorInboxes () {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Lease the next due delivery, lowest priority value first, so that other workers won't claim it until
+   * the lease expires or the delivery is completed or requeued
+   * @param  {string} lockId - identifies the claiming worker
+   * @param  {number} leaseTime - ms before the delivery can be claimed again
+   * @param  {object} [options]
+   * @param  {string[]} [options.excludeHosts] - skip deliveries to these hosts
+   * @param  {string[]} [options.excludeActors] - skip deliveries from these actor ids
+   * @param  {number} [options.maxPriority] - skip deliveries with a higher priority value
+   * @returns {Promise<object>} claimed delivery including opaque `_id` and `lockId`,
+   *   `{ waitUntil: Date }` if only future-dated deliveries are queued, or null if queue is empty
+   */
+  deliveryClaim (lockId, leaseTime, options) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Remove a claimed delivery from the queue. Has no effect if the lease was lost to another worker
+   * @param  {object} delivery - delivery returned by deliveryClaim
+   */
+  deliveryComplete (delivery) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Add deliveries to the queue, recording each address's host for per-host limits
+   * and the time queued (`queuedAt`) for retry limits
+   * @param  {string} actorId
+   * @param  {string} body
+   * @param  {string|string[]} addresses - inbox IRIs
+   * @param  {string} signingKey
+   * @param  {number} [priority] - lower values are claimed first (default 0)
+   */
+  deliveryEnqueue (actorId, body, addresses, signingKey, priority) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Release a claimed delivery to be retried later, saving `delivery.attempt`.
+   * Has no effect if the lease was lost to another worker
+   * @param  {object} delivery - delivery returned by deliveryClaim
+   * @param  {Date} [after] - reschedule for this time. If omitted, `delivery.attempt` is incremented
+   *   and `delivery.after` set with a default backoff
+   */
+  deliveryRequeue (delivery, after) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Move a claimed delivery that will not be retried to the dead-letter queue.
+   * Has no effect if the lease was lost to another worker
+   * @param  {object} delivery - delivery returned by deliveryClaim
+   * @param  {object} [result] - outcome of the last attempt
+   * @param  {number} [result.statusCode] - response status, if a response was received
+   * @param  {string} [result.error] - error message
+   */
+  deliveryFail (delivery, result) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * List queued or dead-letter deliveries, oldest first. Signing keys are not included.
+   * Dead-letter deliveries include `statusCode`, `error`, and `failedAt`
+   * @param  {object} [filter]
+   * @param  {boolean} [filter.dead] - list dead-letter deliveries instead of queued deliveries
+   * @param  {string} [filter.actorId]
+   * @param  {string} [filter.host]
+   * @param  {*} [filter._id] - delivery `_id` or its string form
+   * @param  {number} [limit]
+   * @returns {Promise<object[]>}
+   */
+  deliveryList (filter, limit) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Count queued or dead-letter deliveries
+   * @param  {object} [filter] - as for deliveryList
+   * @returns {Promise<number>}
+   */
+  deliveryCount (filter) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Return dead-letter deliveries to the queue, due now and with `attempt` and `queuedAt` reset
+   * @param  {object} [filter] - as for deliveryList (`dead` is ignored)
+   * @returns {Promise<number>} number of deliveries requeued
+   */
+  deliveryRetry (filter) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Remove queued or dead-letter deliveries
+   * @param  {object} [filter] - as for deliveryList
+   * @returns {Promise<number>} number of deliveries removed
+   */
+  deliveryPurge (filter) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Reschedule all unclaimed deliveries to a host, e.g. to park them while it is unreachable
+   * @param  {string} host
+   * @param  {Date} after
+   */
+  deliveryRescheduleHost (host, after) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Get delivery health record for a remote host
+   * @param  {string} host
+   * @returns {Promise<object>} record with `host`, `failures`, `firstFailure`, `lastFailure`,
+   *   `unreachableSince`, `nextProbe`, `prunedAt` (Dates or null), and `actors` (local actor ids
+   *   with failed deliveries to the host), or null if there is no record
+   */
+  getHost (host) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Create or replace a host delivery health record
+   * @param  {object} record
+   */
+  saveHost (record) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Record a failed delivery to a host in a single atomic update, creating its record if needed.
+   * Increments `failures`, sets `firstFailure` if it is later than `failedAt` or unset and `lastFailure`
+   * if it is earlier or unset, and adds the actor to `actors`
+   * @param  {string} host
+   * @param  {string} actorId - local actor whose delivery failed
+   * @param  {Date} failedAt
+   * @returns {Promise<object>} the updated host record
+   */
+  saveHostFailure (host, actorId, failedAt) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Set date fields of a host record only if its current values match, so that concurrent
+   * workers don't overwrite each other's changes
+   * @param  {string} host
+   * @param  {object} changes - new values, e.g. `{ prunedAt: new Date() }`
+   * @param  {object} expected - required current values (Dates or null), e.g. `{ prunedAt: null }`
+   * @returns {Promise<boolean>} true if the record was updated
+   */
+  updateHost (host, changes, expected) {
+    throw new Error('Not implemented')
+  }
+
+  removeHost (host) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Get the http signature format last known to work with a remote host
+   * @param  {string} host
+   * @returns {Promise<string>} 'rfc9421' or 'cavage', or null if unknown
+   */
+  getSignatureFormat (host) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Remember the http signature format to use with a remote host
+   * @param  {string} host
+   * @param  {string} format - 'rfc9421' or 'cavage'
+   */
+  saveSignatureFormat (host, format) {
     throw new Error('Not implemented')
   }
 
-  deliveryEnqueue (actorId, body, addresses, signingKey) {
+  /**
+   * Get instance-wide policies for remote domains
+   * @param  {string[]} [domains] - only get policies for these domains
+   * @returns {Promise<object[]>} policy records with `domain`, `severity`, `rejectMedia`, `allow`, `comment`, and `updated`
+   */
+  getDomainPolicies (domains) {
     throw new Error('Not implemented')
   }
 
-  deliveryRequeue (delivery) {
+  /**
+   * Create or replace the policy for a domain
+   * @param  {object} record - policy record with `domain` key
+   */
+  saveDomainPolicy (record) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * @param  {string} domain
+   * @returns {Promise<boolean>} true if a policy was removed
+   */
+  removeDomainPolicy (domain) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Record an http signature value until it expires. Only needed when the
+   * `signatures.replayCache` option is enabled
+   * @param  {string} signature
+   * @param  {Date} expires
+   * @returns {Promise<boolean>} false if the signature is already recorded and has not expired
+   */
+  rememberSignature (signature, expires) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Get a cached proxyUrl response that has not expired
+   * @param  {string} url
+   * @param  {string|null} viewer - id of the local actor it was fetched for, or null if shared by all users
+   * @returns {Promise<object>} record with `url`, `viewer`, `object`, and `expires`, or null
+   */
+  getProxyResponse (url, viewer) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Create or replace the cached proxyUrl response for a url and viewer
+   * @param  {object} record - with `url`, `viewer`, `object`, and `expires` Date
+   */
+  saveProxyResponse (record) {
     throw new Error('Not implemented')
   }
 }
@@ -0,0 +1,539 @@
+'use strict'
+const crypto = require('crypto')
+const merge = require('deepmerge')
+const IApexStore = require('./interface')
+const { conditionMatches, filterMatches, validateQuery, valueMatches } = require('./query')
+
+// stored documents are copied in and out so callers can't mutate the store
+function clone (value) {
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value
+  }
+  return merge(Array.isArray(value) ? [] : {}, value)
+}
+function stripMeta (obj) {
+  if (!obj) return obj
+  const { _meta, ...rest } = obj
+  return rest
+}
+function isLocalUser (obj) {
+  return obj.type === 'Person' && obj._meta?.privateKey !== undefined
+}
+
+/**
+ * Non-persistent storage for testing, prototyping, and small deployments.
+ * All data is kept in memory and lost when the process exits.
+ * Follows the same denormalized model as the default MongoDB store.
+ */
+class MemoryStore extends IApexStore {
+  constructor () {
+    super()
+    this.objects = new Map()
+    this.streams = []
+    this.contexts = new Map()
+    this.deliveryQueue = []
+    this.deadLetters = []
+    this.hosts = new Map()
+    this.signatures = new Map()
+    this.signatureFormats = new Map()
+    this.domainPolicies = new Map()
+    this.proxyResponses = new Map()
+    // monotonic sequence used to order streams and delivery queue
+    this.counter = 0
+  }
+
+  nextSequenceId () {
+    return (++this.counter).toString(16).padStart(24, '0')
+  }
+
+  async deliveryEnqueue (actorId, body, addresses, signingKey, priority = 0) {
+    if (!addresses || !addresses.length) return
+    if (!Array.isArray(addresses)) { addresses = [addresses] }
+    const after = new Date()
+    addresses.forEach(address => {
+      this.deliveryQueue.push({
+        _id: this.nextSequenceId(),
+        address,
+        host: new URL(address).host,
+        actorId,
+        signingKey,
+        body,
+        priority,
+        attempt: 0,
+        after,
+        queuedAt: after
+      })
+    })
+    return true
+  }
+
+  async deliveryClaim (lockId, leaseTime, options = {}) {
+    if (!this.deliveryQueue.length) {
+      return null
+    }
+    const now = Date.now()
+    const next = this.sortedDeliveries().find(delivery => {
+      return delivery.after.getTime() <= now &&
+        !options.excludeHosts?.includes(delivery.host) &&
+        !options.excludeActors?.includes(delivery.actorId) &&
+        !(delivery.priority > options.maxPriority)
+    })
+    if (!next) {
+      // if no deliveries available now, report next scheduled delivery
+      const waitUntil = Math.min(...this.deliveryQueue.map(delivery => delivery.after.getTime()))
+      return { waitUntil: new Date(waitUntil) }
+    }
+    next.after = new Date(now + leaseTime)
+    next.lockId = lockId
+    return clone(next)
+  }
+
+  async deliveryComplete (delivery) {
+    const index = this.findClaimedDelivery(delivery)
+    if (index === -1) {
+      return false
+    }
+    this.deliveryQueue.splice(index, 1)
+    return true
+  }
+
+  async deliveryRequeue (delivery, after) {
+    if (after) {
+      delivery.after = after
+    } else {
+      delivery.after = new Date(Date.now() + Math.pow(10, delivery.attempt++))
+    }
+    const index = this.findClaimedDelivery(delivery)
+    if (index === -1) {
+      return false
+    }
+    const queued = this.deliveryQueue[index]
+    queued.after = delivery.after
+    queued.attempt = delivery.attempt
+    delete queued.lockId
+    return true
+  }
+
+  async deliveryFail (delivery, result = {}) {
+    const index = this.findClaimedDelivery(delivery)
+    if (index === -1) {
+      return false
+    }
+    const [failed] = this.deliveryQueue.splice(index, 1)
+    delete failed.lockId
+    this.deadLetters.push({
+      ...failed,
+      statusCode: result.statusCode ?? null,
+      error: result.error ?? null,
+      failedAt: new Date()
+    })
+    return true
+  }
+
+  async deliveryList (filter = {}, limit) {
+    return this.filterDeliveries(filter)
+      .sort((a, b) => a._id < b._id ? -1 : 1)
+      .slice(0, limit)
+      .map(({ signingKey, ...delivery }) => clone(delivery))
+  }
+
+  async deliveryCount (filter = {}) {
+    return this.filterDeliveries(filter).length
+  }
+
+  async deliveryRetry (filter = {}) {
+    const retried = this.filterDeliveries({ ...filter, dead: true })
+    this.deadLetters = this.deadLetters.filter(delivery => !retried.includes(delivery))
+    const after = new Date()
+    retried.forEach(({ statusCode, error, failedAt, ...delivery }) => {
+      this.deliveryQueue.push({ ...delivery, attempt: 0, after, queuedAt: after })
+    })
+    return retried.length
+  }
+
+  async deliveryPurge (filter = {}) {
+    const purged = this.filterDeliveries(filter)
+    const prop = filter.dead ? 'deadLetters' : 'deliveryQueue'
+    this[prop] = this[prop].filter(delivery => !purged.includes(delivery))
+    return purged.length
+  }
+
+  async deliveryRescheduleHost (host, after) {
+    const parked = this.deliveryQueue
+      .filter(delivery => delivery.host === host && !delivery.lockId)
+    parked.forEach(delivery => { delivery.after = after })
+    return parked.length
+  }
+
+  async getHost (host) {
+    return clone(this.hosts.get(host)) ?? null
+  }
+
+  async saveHost (record) {
+    this.hosts.set(record.host, clone(record))
+    return true
+  }
+
+  async saveHostFailure (host, actorId, failedAt) {
+    const record = this.hosts.get(host) ?? {
+      host,
+      failures: 0,
+      firstFailure: null,
+      lastFailure: null,
+      unreachableSince: null,
+      nextProbe: null,
+      prunedAt: null,
+      actors: []
+    }
+    record.failures++
+    if (!record.firstFailure || record.firstFailure > failedAt) {
+      record.firstFailure = failedAt
+    }
+    if (!record.lastFailure || record.lastFailure < failedAt) {
+      record.lastFailure = failedAt
+    }
+    if (!record.actors.includes(actorId)) {
+      record.actors.push(actorId)
+    }
+    this.hosts.set(host, record)
+    return clone(record)
+  }
+
+  async updateHost (host, changes, expected) {
+    const record = this.hosts.get(host)
+    const matches = record && Object.entries(expected)
+      .every(([key, value]) => record[key]?.valueOf() === value?.valueOf())
+    if (!matches) {
+      return false
+    }
+    Object.assign(record, changes)
+    return true
+  }
+
+  async removeHost (host) {
+    return this.hosts.delete(host)
+  }
+
+  async getDomainPolicies (domains) {
+    return Array.from(this.domainPolicies.values())
+      .filter(record => !domains || domains.includes(record.domain))
+      .map(clone)
+  }
+
+  async saveDomainPolicy (record) {
+    this.domainPolicies.set(record.domain, clone(record))
+    return true
+  }
+
+  async removeDomainPolicy (domain) {
+    return this.domainPolicies.delete(domain)
+  }
+
+  async getSignatureFormat (host) {
+    return this.signatureFormats.get(host) ?? null
+  }
+
+  async saveSignatureFormat (host, format) {
+    this.signatureFormats.set(host, format)
+    return true
+  }
+
+  async rememberSignature (signature, expires) {
+    const now = new Date()
+    for (const [seen, seenExpires] of this.signatures) {
+      if (seenExpires <= now) {
+        this.signatures.delete(seen)
+      }
+    }
+    if (this.signatures.has(signature)) {
+      return false
+    }
+    this.signatures.set(signature, expires)
+    return true
+  }
+
+  async getProxyResponse (url, viewer) {
+    const record = this.proxyResponses.get(JSON.stringify([url, viewer]))
+    if (!record || record.expires <= new Date()) {
+      return null
+    }
+    return { ...record, object: JSON.parse(record.object) }
+  }
+
+  async saveProxyResponse (record) {
+    const now = new Date()
+    for (const [key, cached] of this.proxyResponses) {
+      if (cached.expires <= now) {
+        this.proxyResponses.delete(key)
+      }
+    }
+    this.proxyResponses.set(JSON.stringify([record.url, record.viewer]), {
+      url: record.url,
+      viewer: record.viewer,
+      object: JSON.stringify(record.object),
+      expires: record.expires
+    })
+    return true
+  }
+
+  async setup (initialUser) {
+    if (initialUser) {
+      this.objects.set(initialUser.id, clone(initialUser))
+      return clone(initialUser)
+    }
+  }
+
+  async getObject (id, includeMeta) {
+    const obj = clone(this.objects.get(id)) ?? null
+    // strict comparison as we don't want to return private keys on accident
+    return includeMeta === true ? obj : stripMeta(obj)
+  }
+
+  async saveObject (object) {
+    if (this.objects.has(object.id)) {
+      return false
+    }
+    this.objects.set(object.id, clone(object))
+    return true
+  }
+
+  async getActorInboxes () {
+    const inboxes = new Set()
+    this.objects.forEach(obj => {
+      const inbox = obj.endpoints?.[0]?.sharedInbox?.[0] ?? obj.inbox?.[0]
+      if (inbox) {
+        inboxes.add(inbox)
+      }
+    })
+    return Array.from(inboxes)
+  }
+
+  async updateObject (obj, actorId, fullReplace) {
+    const existing = this.objects.get(obj.id)
+    if (!existing) {
+      return fullReplace ? undefined : null
+    }
+    let updated
+    if (fullReplace) {
+      updated = clone(obj)
+    } else {
+      updated = applyUpdate(existing, obj)
+    }
+    this.objects.set(obj.id, updated)
+    const result = fullReplace ? clone(updated) : stripMeta(clone(updated))
+    // propogate update to all copies in streams
+    await this.updateObjectCopies(result)
+    return result
+  }
+
+  async getActivity (id, includeMeta) {
+    const activity = this.streams.find(act => act.id === id)
+    return this.formatActivity(activity, includeMeta)
+  }
+
+  async findActivityByCollectionAndObjectId (collection, objectId, includeMeta) {
+    const activity = this.streams.find(act => {
+      return valueMatches(act._meta?.collection, collection) &&
+        valueMatches(act.object, objectId)
+    })
+    return this.formatActivity(activity, includeMeta)
+  }
+
+  async findActivityByCollectionAndActorId (collection, actorId, includeMeta) {
+    const activity = this.streams.find(act => {
+      return valueMatches(act._meta?.collection, collection) &&
+        valueMatches(act.actor, actorId)
+    })
+    return this.formatActivity(activity, includeMeta)
+  }
+
+  async findActivitiesByTypeAndObjectId (type, objectId, includeMeta) {
+    return this.streams
+      .filter(act => valueMatches(act.type, type) && valueMatches(act.object, objectId))
+      .map(act => this.formatActivity(act, includeMeta))
+  }
+
+  async getContext (documentUrl) {
+    const context = this.contexts.get(documentUrl)
+    if (!context) {
+      return null
+    }
+    return { ...context, document: JSON.parse(context.document) }
+  }
+
+  async saveContext ({ contextUrl, documentUrl, document }) {
+    this.contexts.set(documentUrl, {
+      contextUrl,
+      documentUrl,
+      document: typeof document === 'object' ? JSON.stringify(document) : document
+    })
+  }
+
+  /**
+   * Return a specific collection (stream of activitites), e.g. a user's inbox
+   * @param  {string} collectionId - _meta.collection identifier
+   * @param  {number} limit - max number of activities to return
+   * @param  {string} [after] - _id to begin querying after (i.e. last item of last page)
+   * @param  {string[]} [blockList] - list of ids of actors whose activities should be excluded
+   * @param  {object} [query] - additional filtering, see store/query.js
+   * @returns {Promise<object[]>}
+   */
+  async getStream (collectionId, limit, after, blockList, query) {
+    if (after && !/^[0-9a-f]{24}$/.test(after)) {
+      throw new Error('ApexStore: invalid page value')
+    }
+    const filters = [{ '_meta.collection': collectionId }]
+    if (query) {
+      filters.push(validateQuery(query))
+    }
+    let stream = []
+    // iterate newest first
+    for (let i = this.streams.length - 1; i >= 0; i--) {
+      const activity = this.streams[i]
+      if (after && activity._id >= after) continue
+      if (blockList?.length && !conditionMatches(activity.actor, { $nin: blockList })) continue
+      if (!filters.every(filter => filterMatches(activity, filter))) continue
+      stream.push(activity)
+      if (limit && stream.length >= limit) break
+    }
+    stream = stream.map(activity => {
+      const result = stripMeta(clone(activity))
+      result.actor = [].concat(activity.actor ?? [])
+        .map(actorId => this.objects.get(actorId))
+        .filter(actor => actor)
+        .map(actor => stripMeta(clone(actor)))
+      if (Array.isArray(result.object)) {
+        result.object = result.object
+          .map(obj => typeof obj === 'object' ? stripMeta(obj) : obj)
+      }
+      return result
+    })
+    // filter if missing actor
+    return stream.filter(activity => activity.actor.length)
+  }
+
+  async getStreamCount (collectionId) {
+    return this.streams
+      .filter(act => valueMatches(act._meta?.collection, collectionId))
+      .length
+  }
+
+  async getUserCount () {
+    let count = 0
+    for (const obj of this.objects.values()) {
+      if (isLocalUser(obj)) count++
+    }
+    return count
+  }
+
+  async saveActivity (activity) {
+    // if duplicate id, ignore and return undefined
+    if (this.streams.some(act => act.id === activity.id)) {
+      return
+    }
+    this.streams.push({ ...clone(activity), _id: this.nextSequenceId() })
+    return true
+  }
+
+  async removeActivity (activity, actorId) {
+    const before = this.streams.length
+    this.streams = this.streams
+      .filter(act => !(act.id === activity.id && valueMatches(act.actor, actorId)))
+    return { acknowledged: true, deletedCount: before - this.streams.length }
+  }
+
+  async updateActivity (activity, fullReplace) {
+    const index = this.streams.findIndex(act => act.id === activity.id)
+    if (index === -1) {
+      return activity
+    }
+    if (fullReplace) {
+      this.streams[index] = { ...clone(activity), _id: this.streams[index]._id }
+      await this.updateObjectCopies(activity)
+      return activity
+    }
+    this.streams[index] = applyUpdate(this.streams[index], activity)
+    return this.formatActivity(this.streams[index], true)
+  }
+
+  async updateActivityMeta (activity, key, value, remove) {
+    const existing = this.streams.find(act => act.id === activity.id)
+    if (!existing) {
+      throw new Error('Error updating activity meta: not found')
+    }
+    existing._meta = existing._meta ?? {}
+    const values = existing._meta[key] ?? []
+    if (remove) {
+      existing._meta[key] = values.filter(v => v !== value)
+    } else if (!values.includes(value)) {
+      existing._meta[key] = values.concat(value)
+    }
+    return this.formatActivity(existing, true)
+  }
+
+  generateId () {
+    return crypto.randomBytes(12).toString('hex')
+  }
+
+  // class methods
+  formatActivity (activity, includeMeta) {
+    if (!activity) {
+      return null
+    }
+    const { _id, ...result } = clone(activity)
+    return includeMeta ? result : stripMeta(result)
+  }
+
+  findClaimedDelivery ({ _id, lockId }) {
+    return this.deliveryQueue
+      .findIndex(delivery => delivery._id === _id && delivery.lockId === lockId)
+  }
+
+  filterDeliveries ({ dead, actorId, host, _id }) {
+    return (dead ? this.deadLetters : this.deliveryQueue).filter(delivery => {
+      return (actorId === undefined || delivery.actorId === actorId) &&
+        (host === undefined || delivery.host === host) &&
+        (_id === undefined || delivery._id === _id)
+    })
+  }
+
+  sortedDeliveries () {
+    return this.deliveryQueue.slice().sort((a, b) => {
+      return ((a.priority ?? 0) - (b.priority ?? 0)) ||
+        (a.after - b.after) ||
+        (a._id < b._id ? -1 : 1)
+    })
+  }
+
+  // for denormalized storage model, must update all activities with copy of updated object
+  async updateObjectCopies (object) {
+    this.streams.forEach(activity => {
+      if (!Array.isArray(activity.object)) return
+      activity.object = activity.object.map(obj => {
+        return obj?.id === object.id ? clone(object) : obj
+      })
+    })
+    if (object._meta?.privateKey) {
+      // just in case actor keypairs are updated while deliveries are queued
+      this.deliveryQueue
+        .filter(delivery => delivery.actorId === object.id)
+        .forEach(delivery => { delivery.signingKey = object._meta.privateKey })
+    }
+  }
+}
+
+// apply partial update: null values are removed, other values replaced
+function applyUpdate (target, update) {
+  const result = clone(target)
+  for (const [key, value] of Object.entries(update)) {
+    if (key === 'id') continue
+    if (value === null) {
+      delete result[key]
+    } else {
+      result[key] = clone(value)
+    }
+  }
+  return result
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,85 @@
+'use strict'
+// Backend-neutral query descriptions for filtering streams (getStream/getCollection query argument).
+// A query description is a plain object mapping dotted property paths to either
+// a value to match or an object with one or more of the operators below, e.g.
+//   { type: 'Arrive', 'object.type': { $in: ['Note', 'Article'] } }
+// Array values match if any element matches and dotted paths traverse into
+// arrays of embedded objects. This is a subset of MongoDB query syntax, so the
+// default store passes it through while other stores evaluate it in JavaScript
+const operators = ['$in', '$nin', '$ne', '$exists']
+
+module.exports = {
+  conditionMatches,
+  filterMatches,
+  getPath,
+  operators,
+  validateQuery,
+  valueMatches
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function validateQuery (query) {
+  if (!isPlainObject(query)) {
+    throw new Error('Invalid query description: must be an object')
+  }
+  for (const [path, condition] of Object.entries(query)) {
+    if (path.startsWith('$')) {
+      throw new Error(`Invalid query description: unsupported path ${path}`)
+    }
+    if (!isPlainObject(condition)) continue
+    for (const [op, operand] of Object.entries(condition)) {
+      if (!operators.includes(op)) {
+        throw new Error(`Unsupported query operator ${op}`)
+      }
+      if ((op === '$in' || op === '$nin') && !Array.isArray(operand)) {
+        throw new Error(`Invalid query description: ${op} requires an array`)
+      }
+    }
+  }
+  return query
+}
+
+function valueMatches (value, expected) {
+  if (Array.isArray(value)) {
+    return value.some(v => valueMatches(v, expected))
+  }
+  return value === expected
+}
+
+function getPath (obj, path) {
+  return path.split('.').reduce((acc, key) => {
+    if (acc === undefined || acc === null) return undefined
+    if (Array.isArray(acc)) {
+      return acc.map(item => item?.[key]).flat()
+    }
+    return acc[key]
+  }, obj)
+}
+
+function conditionMatches (value, condition) {
+  if (!isPlainObject(condition)) {
+    return valueMatches(value, condition)
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$in':
+        return operand.some(o => valueMatches(value, o))
+      case '$nin':
+        return !operand.some(o => valueMatches(value, o))
+      case '$ne':
+        return !valueMatches(value, operand)
+      case '$exists':
+        return (value !== undefined) === !!operand
+      default:
+        throw new Error(`Unsupported query operator ${op}`)
+    }
+  })
+}
+
+function filterMatches (doc, filter) {
+  return Object.entries(filter)
+    .every(([path, condition]) => conditionMatches(getPath(doc, path), condition))
+}
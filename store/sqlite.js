@@ -0,0 +1,812 @@
+'use strict'
+const crypto = require('crypto')
+const IApexStore = require('./interface')
+const { conditionMatches, filterMatches, validateQuery, valueMatches } = require('./query')
+
+const schema = `
+  CREATE TABLE IF NOT EXISTS objects (
+    id TEXT PRIMARY KEY,
+    local_user INTEGER NOT NULL DEFAULT 0,
+    doc TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS local_user_count ON objects (local_user) WHERE local_user = 1;
+  CREATE TABLE IF NOT EXISTS streams (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT UNIQUE,
+    doc TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS stream_collections (
+    collection TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    PRIMARY KEY (collection, seq)
+  ) WITHOUT ROWID;
+  CREATE INDEX IF NOT EXISTS stream_collections_seq ON stream_collections (seq);
+  CREATE TABLE IF NOT EXISTS stream_objects (
+    object_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    PRIMARY KEY (object_id, seq)
+  ) WITHOUT ROWID;
+  CREATE INDEX IF NOT EXISTS stream_objects_seq ON stream_objects (seq);
+  CREATE TABLE IF NOT EXISTS stream_actors (
+    actor_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    PRIMARY KEY (actor_id, seq)
+  ) WITHOUT ROWID;
+  CREATE INDEX IF NOT EXISTS stream_actors_seq ON stream_actors (seq);
+  CREATE TABLE IF NOT EXISTS contexts (
+    document_url TEXT PRIMARY KEY,
+    context_url TEXT,
+    document TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS delivery_queue (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    after INTEGER NOT NULL,
+    actor_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    host TEXT,
+    body TEXT NOT NULL,
+    signing_key TEXT,
+    priority INTEGER NOT NULL DEFAULT 0,
+    attempt INTEGER NOT NULL DEFAULT 0,
+    queued_at INTEGER,
+    lock_id TEXT
+  );
+  CREATE INDEX IF NOT EXISTS delivery_claim ON delivery_queue (priority, after, seq);
+  CREATE INDEX IF NOT EXISTS delivery_after ON delivery_queue (after);
+  CREATE INDEX IF NOT EXISTS delivery_actor ON delivery_queue (actor_id);
+  CREATE INDEX IF NOT EXISTS delivery_host ON delivery_queue (host);
+  CREATE TABLE IF NOT EXISTS delivery_dead_letters (
+    seq INTEGER PRIMARY KEY,
+    after INTEGER NOT NULL,
+    actor_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    host TEXT,
+    body TEXT NOT NULL,
+    signing_key TEXT,
+    priority INTEGER NOT NULL DEFAULT 0,
+    attempt INTEGER NOT NULL DEFAULT 0,
+    queued_at INTEGER,
+    status_code INTEGER,
+    error TEXT,
+    failed_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS dead_letter_actor ON delivery_dead_letters (actor_id);
+  CREATE INDEX IF NOT EXISTS dead_letter_host ON delivery_dead_letters (host);
+  CREATE TABLE IF NOT EXISTS hosts (
+    host TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    first_failure INTEGER,
+    last_failure INTEGER,
+    unreachable_since INTEGER,
+    next_probe INTEGER,
+    pruned_at INTEGER,
+    actors TEXT NOT NULL DEFAULT '[]'
+  );
+  CREATE TABLE IF NOT EXISTS signature_formats (
+    host TEXT PRIMARY KEY,
+    format TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS signatures (
+    signature TEXT PRIMARY KEY,
+    expires INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS domain_policies (
+    domain TEXT PRIMARY KEY,
+    severity TEXT,
+    reject_media INTEGER NOT NULL DEFAULT 0,
+    allow INTEGER NOT NULL DEFAULT 0,
+    comment TEXT,
+    updated INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS proxy_responses (
+    url TEXT NOT NULL,
+    viewer TEXT NOT NULL,
+    object TEXT NOT NULL,
+    expires INTEGER NOT NULL,
+    PRIMARY KEY (url, viewer)
+  );
+`
+
+function stripMeta (obj) {
+  if (!obj) return obj
+  const { _meta, ...rest } = obj
+  return rest
+}
+function isLocalUser (obj) {
+  return obj.type === 'Person' && obj._meta?.privateKey !== undefined ? 1 : 0
+}
+function toDate (ms) {
+  return ms == null ? null : new Date(ms)
+}
+function toTime (date) {
+  return date ? date.getTime() : null
+}
+function placeholders (values) {
+  return values.map(() => '?').join(', ')
+}
+// host record date fields that can be changed by updateHost
+const hostDateColumns = {
+  firstFailure: 'first_failure',
+  lastFailure: 'last_failure',
+  unreachableSince: 'unreachable_since',
+  nextProbe: 'next_probe',
+  prunedAt: 'pruned_at'
+}
+function rowToHost (row) {
+  return {
+    host: row.host,
+    failures: row.failures,
+    firstFailure: toDate(row.first_failure),
+    lastFailure: toDate(row.last_failure),
+    unreachableSince: toDate(row.unreachable_since),
+    nextProbe: toDate(row.next_probe),
+    prunedAt: toDate(row.pruned_at),
+    actors: JSON.parse(row.actors)
+  }
+}
+function rowToDelivery (row) {
+  const delivery = {
+    _id: row.seq,
+    address: row.address,
+    host: row.host,
+    actorId: row.actor_id,
+    signingKey: row.signing_key,
+    body: row.body,
+    priority: row.priority,
+    attempt: row.attempt,
+    after: new Date(row.after),
+    queuedAt: toDate(row.queued_at)
+  }
+  if (row.lock_id) {
+    delivery.lockId = row.lock_id
+  }
+  if (row.failed_at != null) {
+    delivery.statusCode = row.status_code
+    delivery.error = row.error
+    delivery.failedAt = new Date(row.failed_at)
+  }
+  return delivery
+}
+// translate store-neutral delivery list filter to sql conditions
+function deliveryConditions ({ actorId, host, _id }) {
+  const conditions = ['1 = 1']
+  const params = []
+  if (actorId !== undefined) {
+    conditions.push('actor_id = ?')
+    params.push(actorId)
+  }
+  if (host !== undefined) {
+    conditions.push('host = ?')
+    params.push(host)
+  }
+  if (_id !== undefined) {
+    // may be a string from a query string
+    conditions.push('seq = ?')
+    params.push(Number.isInteger(Number(_id)) ? Number(_id) : -1)
+  }
+  return { where: conditions.join(' AND '), params }
+}
+const deliveryColumns = 'seq, after, actor_id, address, host, body, signing_key, priority, attempt, queued_at'
+
+/**
+ * Single-file database storage using SQLite.
+ * Expects a [better-sqlite3](https://github.com/WiseLibs/better-sqlite3)
+ * Database instance, which can be passed to the constructor or assigned to
+ * the `db` property before calling `setup`.
+ * Documents are stored as JSON with side tables indexing stream collection
+ * membership and embedded objects
+ */
+class SqliteStore extends IApexStore {
+  constructor (db) {
+    super()
+    this.db = db ?? null
+  }
+
+  async deliveryEnqueue (actorId, body, addresses, signingKey, priority = 0) {
+    if (!addresses || !addresses.length) return
+    if (!Array.isArray(addresses)) { addresses = [addresses] }
+    const after = Date.now()
+    const insert = this.db.prepare(`
+      INSERT INTO delivery_queue (after, actor_id, address, host, body, signing_key, priority, attempt, queued_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)
+    `)
+    this.db.transaction(() => {
+      addresses.forEach(address => {
+        insert.run(after, actorId, address, new URL(address).host, body, signingKey, priority, after)
+      })
+    })()
+    return true
+  }
+
+  async deliveryClaim (lockId, leaseTime, options = {}) {
+    const now = Date.now()
+    const conditions = ['after <= ?']
+    const params = [now]
+    if (options.excludeHosts?.length) {
+      conditions.push(`(host IS NULL OR host NOT IN (${placeholders(options.excludeHosts)}))`)
+      params.push(...options.excludeHosts)
+    }
+    if (options.excludeActors?.length) {
+      conditions.push(`actor_id NOT IN (${placeholders(options.excludeActors)})`)
+      params.push(...options.excludeActors)
+    }
+    if (options.maxPriority !== undefined) {
+      conditions.push('priority <= ?')
+      params.push(options.maxPriority)
+    }
+    // single statement so claims are atomic across connections
+    const row = this.db.prepare(`
+      UPDATE delivery_queue SET after = ?, lock_id = ?
+      WHERE seq = (
+        SELECT seq FROM delivery_queue WHERE ${conditions.join(' AND ')}
+        ORDER BY priority, after, seq LIMIT 1
+      )
+      RETURNING *
+    `).get(now + leaseTime, lockId, ...params)
+    if (row) {
+      return rowToDelivery(row)
+    }
+    // if no deliveries available now, check for scheduled deliveries
+    const next = this.db.prepare('SELECT MIN(after) AS after FROM delivery_queue').get()
+    return next?.after != null ? { waitUntil: new Date(next.after) } : null
+  }
+
+  async deliveryComplete (delivery) {
+    const result = this.db.prepare('DELETE FROM delivery_queue WHERE seq = ? AND lock_id = ?')
+      .run(delivery._id, delivery.lockId)
+    return result.changes === 1
+  }
+
+  async deliveryRequeue (delivery, after) {
+    if (after) {
+      delivery.after = after
+    } else {
+      delivery.after = new Date(Date.now() + Math.pow(10, delivery.attempt++))
+    }
+    const result = this.db.prepare(
+      'UPDATE delivery_queue SET after = ?, attempt = ?, lock_id = NULL WHERE seq = ? AND lock_id = ?'
+    ).run(delivery.after.getTime(), delivery.attempt, delivery._id, delivery.lockId)
+    return result.changes === 1
+  }
+
+  async deliveryFail (delivery, result = {}) {
+    let failed = false
+    this.db.transaction(() => {
+      const row = this.db.prepare('DELETE FROM delivery_queue WHERE seq = ? AND lock_id = ? RETURNING *')
+        .get(delivery._id, delivery.lockId)
+      if (!row) return
+      this.db.prepare(`
+        INSERT INTO delivery_dead_letters (${deliveryColumns}, status_code, error, failed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        row.seq, row.after, row.actor_id, row.address, row.host, row.body, row.signing_key,
+        row.priority, row.attempt, row.queued_at, result.statusCode ?? null, result.error ?? null, Date.now()
+      )
+      failed = true
+    })()
+    return failed
+  }
+
+  async deliveryList (filter = {}, limit) {
+    const { where, params } = deliveryConditions(filter)
+    const table = filter.dead ? 'delivery_dead_letters' : 'delivery_queue'
+    return this.db.prepare(`SELECT * FROM ${table} WHERE ${where} ORDER BY seq LIMIT ?`)
+      .all(...params, limit ?? -1)
+      .map(row => {
+        const { signingKey, ...delivery } = rowToDelivery(row)
+        return delivery
+      })
+  }
+
+  async deliveryCount (filter = {}) {
+    const { where, params } = deliveryConditions(filter)
+    const table = filter.dead ? 'delivery_dead_letters' : 'delivery_queue'
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${where}`)
+      .get(...params).count
+  }
+
+  async deliveryRetry (filter = {}) {
+    const { where, params } = deliveryConditions(filter)
+    const now = Date.now()
+    let count = 0
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO delivery_queue (${deliveryColumns})
+        SELECT seq, ?, actor_id, address, host, body, signing_key, priority, 0, ?
+        FROM delivery_dead_letters WHERE ${where}
+      `).run(now, now, ...params)
+      count = this.db.prepare(`DELETE FROM delivery_dead_letters WHERE ${where}`)
+        .run(...params).changes
+    })()
+    return count
+  }
+
+  async deliveryPurge (filter = {}) {
+    const { where, params } = deliveryConditions(filter)
+    const table = filter.dead ? 'delivery_dead_letters' : 'delivery_queue'
+    return this.db.prepare(`DELETE FROM ${table} WHERE ${where}`).run(...params).changes
+  }
+
+  async deliveryRescheduleHost (host, after) {
+    const result = this.db
+      .prepare('UPDATE delivery_queue SET after = ? WHERE host = ? AND lock_id IS NULL')
+      .run(after.getTime(), host)
+    return result.changes
+  }
+
+  async getHost (host) {
+    const row = this.db.prepare('SELECT * FROM hosts WHERE host = ?').get(host)
+    return row ? rowToHost(row) : null
+  }
+
+  async saveHost (record) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO hosts
+      (host, failures, first_failure, last_failure, unreachable_since, next_probe, pruned_at, actors)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      record.host,
+      record.failures ?? 0,
+      toTime(record.firstFailure),
+      toTime(record.lastFailure),
+      toTime(record.unreachableSince),
+      toTime(record.nextProbe),
+      toTime(record.prunedAt),
+      JSON.stringify(record.actors ?? [])
+    )
+    return true
+  }
+
+  async saveHostFailure (host, actorId, failedAt) {
+    const row = this.db.prepare(`
+      INSERT INTO hosts (host, failures, first_failure, last_failure, actors)
+      VALUES (@host, 1, @time, @time, json_array(@actorId))
+      ON CONFLICT (host) DO UPDATE SET
+        failures = failures + 1,
+        first_failure = min(coalesce(first_failure, @time), @time),
+        last_failure = max(coalesce(last_failure, @time), @time),
+        actors = CASE WHEN EXISTS (SELECT 1 FROM json_each(hosts.actors) WHERE value = @actorId)
+          THEN actors ELSE json_insert(actors, '$[#]', @actorId) END
+      RETURNING *
+    `).get({ host, actorId, time: failedAt.getTime() })
+    return rowToHost(row)
+  }
+
+  async updateHost (host, changes, expected) {
+    const column = key => {
+      if (!hostDateColumns[key]) {
+        throw new Error(`Invalid host field ${key}`)
+      }
+      return hostDateColumns[key]
+    }
+    const sets = Object.keys(changes).map(key => `${column(key)} = ?`)
+    const conditions = Object.entries(expected)
+      .map(([key, value]) => value ? `${column(key)} = ?` : `${column(key)} IS NULL`)
+    const params = [
+      ...Object.values(changes).map(toTime),
+      host,
+      ...Object.values(expected).filter(value => value).map(toTime)
+    ]
+    const result = this.db
+      .prepare(`UPDATE hosts SET ${sets.join(', ')} WHERE ${['host = ?', ...conditions].join(' AND ')}`)
+      .run(...params)
+    return result.changes === 1
+  }
+
+  async removeHost (host) {
+    return this.db.prepare('DELETE FROM hosts WHERE host = ?').run(host).changes === 1
+  }
+
+  async getDomainPolicies (domains) {
+    const rows = domains
+      ? this.db.prepare(`SELECT * FROM domain_policies WHERE domain IN (${domains.map(() => '?').join(', ')})`).all(...domains)
+      : this.db.prepare('SELECT * FROM domain_policies').all()
+    return rows.map(row => ({
+      domain: row.domain,
+      severity: row.severity,
+      rejectMedia: !!row.reject_media,
+      allow: !!row.allow,
+      comment: row.comment,
+      updated: toDate(row.updated)
+    }))
+  }
+
+  async saveDomainPolicy (record) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO domain_policies (domain, severity, reject_media, allow, comment, updated)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      record.domain,
+      record.severity ?? null,
+      record.rejectMedia ? 1 : 0,
+      record.allow ? 1 : 0,
+      record.comment ?? null,
+      toTime(record.updated)
+    )
+    return true
+  }
+
+  async removeDomainPolicy (domain) {
+    return this.db.prepare('DELETE FROM domain_policies WHERE domain = ?').run(domain).changes === 1
+  }
+
+  async getSignatureFormat (host) {
+    const row = this.db.prepare('SELECT format FROM signature_formats WHERE host = ?').get(host)
+    return row?.format ?? null
+  }
+
+  async saveSignatureFormat (host, format) {
+    this.db.prepare('INSERT OR REPLACE INTO signature_formats (host, format) VALUES (?, ?)').run(host, format)
+    return true
+  }
+
+  async rememberSignature (signature, expires) {
+    this.db.prepare('DELETE FROM signatures WHERE expires <= ?').run(Date.now())
+    const result = this.db
+      .prepare('INSERT OR IGNORE INTO signatures (signature, expires) VALUES (?, ?)')
+      .run(signature, expires.getTime())
+    return result.changes === 1
+  }
+
+  async getProxyResponse (url, viewer) {
+    // shared responses have an empty viewer, as null would not be unique in the primary key
+    const row = this.db
+      .prepare('SELECT * FROM proxy_responses WHERE url = ? AND viewer = ? AND expires > ?')
+      .get(url, viewer ?? '', Date.now())
+    if (!row) {
+      return null
+    }
+    return {
+      url: row.url,
+      viewer: row.viewer || null,
+      object: JSON.parse(row.object),
+      expires: new Date(row.expires)
+    }
+  }
+
+  async saveProxyResponse (record) {
+    this.db.prepare('DELETE FROM proxy_responses WHERE expires <= ?').run(Date.now())
+    this.db.prepare('INSERT OR REPLACE INTO proxy_responses (url, viewer, object, expires) VALUES (?, ?, ?, ?)')
+      .run(record.url, record.viewer ?? '', JSON.stringify(record.object), record.expires.getTime())
+    return true
+  }
+
+  async setup (initialUser) {
+    this.db.exec(schema)
+    if (initialUser) {
+      this.db.prepare(`
+        INSERT INTO objects (id, local_user, doc) VALUES (?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET local_user = excluded.local_user, doc = excluded.doc
+      `).run(initialUser.id, isLocalUser(initialUser), JSON.stringify(initialUser))
+      return initialUser
+    }
+  }
+
+  async getObject (id, includeMeta) {
+    const row = this.db.prepare('SELECT doc FROM objects WHERE id = ?').get(id ?? null)
+    const obj = row ? JSON.parse(row.doc) : null
+    // strict comparison as we don't want to return private keys on accident
+    return includeMeta === true ? obj : stripMeta(obj)
+  }
+
+  async saveObject (object) {
+    const result = this.db
+      .prepare('INSERT OR IGNORE INTO objects (id, local_user, doc) VALUES (?, ?, ?)')
+      .run(object.id ?? null, isLocalUser(object), JSON.stringify(object))
+    return result.changes === 1
+  }
+
+  async getActorInboxes () {
+    return this.db.prepare(`
+      SELECT DISTINCT coalesce(
+        json_extract(doc, '$.endpoints[0].sharedInbox[0]'),
+        json_extract(doc, '$.inbox[0]')
+      ) AS inbox FROM objects
+      WHERE json_extract(doc, '$.inbox[0]') IS NOT NULL
+    `).all().map(row => row.inbox)
+  }
+
+  async updateObject (obj, actorId, fullReplace) {
+    const updated = this.db.transaction(() => {
+      const row = this.db.prepare('SELECT doc FROM objects WHERE id = ?').get(obj.id)
+      if (!row) {
+        return fullReplace ? undefined : null
+      }
+      const doc = fullReplace ? obj : applyUpdate(JSON.parse(row.doc), obj)
+      this.db.prepare('UPDATE objects SET local_user = ?, doc = ? WHERE id = ?')
+        .run(isLocalUser(doc), JSON.stringify(doc), obj.id)
+      return fullReplace ? doc : stripMeta(doc)
+    })()
+    if (updated) {
+      // propogate update to all copies in streams
+      await this.updateObjectCopies(updated)
+    }
+    return updated
+  }
+
+  async getActivity (id, includeMeta) {
+    const row = this.db.prepare('SELECT doc FROM streams WHERE id = ?').get(id ?? null)
+    return this.formatActivity(row, includeMeta)
+  }
+
+  async findActivityByCollectionAndObjectId (collection, objectId, includeMeta) {
+    const rows = this.db.prepare(`
+      SELECT s.doc FROM stream_objects o
+      JOIN stream_collections c ON c.seq = o.seq
+      JOIN streams s ON s.seq = o.seq
+      WHERE o.object_id = ? AND c.collection = ?
+      ORDER BY s.seq
+    `).iterate(objectId, collection)
+    for (const row of rows) {
+      // only match object references, not embedded objects
+      if (valueMatches(JSON.parse(row.doc).object, objectId)) {
+        return this.formatActivity(row, includeMeta)
+      }
+    }
+    return null
+  }
+
+  async findActivitiesByTypeAndObjectId (type, objectId, includeMeta) {
+    return this.db.prepare(`
+      SELECT s.doc FROM stream_objects o
+      JOIN streams s ON s.seq = o.seq
+      WHERE o.object_id = ?
+      ORDER BY s.seq
+    `).all(objectId)
+      .filter(row => {
+        const activity = JSON.parse(row.doc)
+        // only match object references, not embedded objects
+        return valueMatches(activity.type, type) && valueMatches(activity.object, objectId)
+      })
+      .map(row => this.formatActivity(row, includeMeta))
+  }
+
+  async findActivityByCollectionAndActorId (collection, actorId, includeMeta) {
+    const row = this.db.prepare(`
+      SELECT s.doc FROM stream_actors a
+      JOIN stream_collections c ON c.seq = a.seq
+      JOIN streams s ON s.seq = a.seq
+      WHERE a.actor_id = ? AND c.collection = ?
+      ORDER BY s.seq
+      LIMIT 1
+    `).get(actorId, collection)
+    return this.formatActivity(row, includeMeta)
+  }
+
+  async getContext (documentUrl) {
+    const row = this.db
+      .prepare('SELECT context_url, document_url, document FROM contexts WHERE document_url = ?')
+      .get(documentUrl)
+    if (!row) {
+      return null
+    }
+    return {
+      contextUrl: row.context_url,
+      documentUrl: row.document_url,
+      document: JSON.parse(row.document)
+    }
+  }
+
+  async saveContext ({ contextUrl, documentUrl, document }) {
+    this.db.prepare(`
+      INSERT INTO contexts (document_url, context_url, document) VALUES (?, ?, ?)
+      ON CONFLICT (document_url) DO UPDATE SET context_url = excluded.context_url, document = excluded.document
+    `).run(
+      documentUrl,
+      contextUrl ?? null,
+      typeof document === 'object' ? JSON.stringify(document) : document
+    )
+  }
+
+  /**
+   * Return a specific collection (stream of activitites), e.g. a user's inbox
+   * @param  {string} collectionId - _meta.collection identifier
+   * @param  {number} limit - max number of activities to return
+   * @param  {string} [after] - _id to begin querying after (i.e. last item of last page)
+   * @param  {string[]} [blockList] - list of ids of actors whose activities should be excluded
+   * @param  {object} [query] - additional filtering, see store/query.js
+   * @returns {Promise<object[]>}
+   */
+  async getStream (collectionId, limit, after, blockList, query) {
+    if (after && !/^[0-9a-f]{24}$/.test(after)) {
+      throw new Error('ApexStore: invalid page value')
+    }
+    if (query) {
+      validateQuery(query)
+    }
+    const rows = this.db.prepare(`
+      SELECT s.seq, s.doc FROM stream_collections c
+      JOIN streams s ON s.seq = c.seq
+      WHERE c.collection = ? AND c.seq < ?
+      ORDER BY c.seq DESC
+    `).iterate(collectionId, after ? parseInt(after, 16) : Number.MAX_SAFE_INTEGER)
+    const stream = []
+    for (const row of rows) {
+      const activity = JSON.parse(row.doc)
+      if (blockList?.length && !conditionMatches(activity.actor, { $nin: blockList })) continue
+      if (query && !filterMatches(activity, query)) continue
+      // opaque paging cursor in same format as other stores' ids
+      activity._id = row.seq.toString(16).padStart(24, '0')
+      stream.push(activity)
+      if (limit && stream.length >= limit) {
+        break
+      }
+    }
+    const getActor = this.db.prepare('SELECT doc FROM objects WHERE id = ?')
+    return stream
+      .map(activity => {
+        const result = stripMeta(activity)
+        result.actor = [].concat(activity.actor ?? [])
+          .map(actorId => getActor.get(actorId))
+          .filter(row => row)
+          .map(row => stripMeta(JSON.parse(row.doc)))
+        if (Array.isArray(result.object)) {
+          result.object = result.object
+            .map(obj => typeof obj === 'object' ? stripMeta(obj) : obj)
+        }
+        return result
+      })
+      // filter if missing actor
+      .filter(activity => activity.actor.length)
+  }
+
+  async getStreamCount (collectionId) {
+    return this.db
+      .prepare('SELECT COUNT(*) AS count FROM stream_collections WHERE collection = ?')
+      .get(collectionId)
+      .count
+  }
+
+  async getUserCount () {
+    return this.db
+      .prepare('SELECT COUNT(*) AS count FROM objects WHERE local_user = 1')
+      .get()
+      .count
+  }
+
+  async saveActivity (activity) {
+    return this.db.transaction(() => {
+      const result = this.db
+        .prepare('INSERT OR IGNORE INTO streams (id, doc) VALUES (?, ?)')
+        .run(activity.id ?? null, JSON.stringify(activity))
+      // if duplicate id, ignore and return undefined
+      if (!result.changes) {
+        return
+      }
+      this.indexActivity(Number(result.lastInsertRowid), activity)
+      return true
+    })()
+  }
+
+  async removeActivity (activity, actorId) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT seq, doc FROM streams WHERE id = ?').get(activity.id)
+      if (!row || !valueMatches(JSON.parse(row.doc).actor, actorId)) {
+        return { deletedCount: 0 }
+      }
+      this.db.prepare('DELETE FROM streams WHERE seq = ?').run(row.seq)
+      this.indexActivity(row.seq, null)
+      return { deletedCount: 1 }
+    })()
+  }
+
+  async updateActivity (activity, fullReplace) {
+    const updated = this.db.transaction(() => {
+      const row = this.db.prepare('SELECT seq, doc FROM streams WHERE id = ?').get(activity.id)
+      if (!row) {
+        return
+      }
+      const doc = fullReplace ? activity : applyUpdate(JSON.parse(row.doc), activity)
+      this.db.prepare('UPDATE streams SET doc = ? WHERE seq = ?').run(JSON.stringify(doc), row.seq)
+      this.indexActivity(row.seq, doc)
+      return doc
+    })()
+    if (!updated) {
+      return activity
+    }
+    if (fullReplace) {
+      await this.updateObjectCopies(activity)
+      return activity
+    }
+    return updated
+  }
+
+  async updateActivityMeta (activity, key, value, remove) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT seq, doc FROM streams WHERE id = ?').get(activity.id)
+      if (!row) {
+        throw new Error('Error updating activity meta: not found')
+      }
+      const doc = JSON.parse(row.doc)
+      doc._meta = doc._meta ?? {}
+      const values = doc._meta[key] ?? []
+      if (remove) {
+        doc._meta[key] = values.filter(v => v !== value)
+      } else if (!values.includes(value)) {
+        doc._meta[key] = values.concat(value)
+      }
+      this.db.prepare('UPDATE streams SET doc = ? WHERE seq = ?').run(JSON.stringify(doc), row.seq)
+      this.indexActivity(row.seq, doc)
+      return doc
+    })()
+  }
+
+  generateId () {
+    return crypto.randomBytes(12).toString('hex')
+  }
+
+  // class methods
+  formatActivity (row, includeMeta) {
+    if (!row) {
+      return null
+    }
+    const activity = JSON.parse(row.doc)
+    return includeMeta ? activity : stripMeta(activity)
+  }
+
+  // maintain side tables for collection membership, embedded objects, and actor references
+  indexActivity (seq, activity) {
+    this.db.prepare('DELETE FROM stream_collections WHERE seq = ?').run(seq)
+    this.db.prepare('DELETE FROM stream_objects WHERE seq = ?').run(seq)
+    this.db.prepare('DELETE FROM stream_actors WHERE seq = ?').run(seq)
+    if (!activity) {
+      return
+    }
+    const insertCollection = this.db
+      .prepare('INSERT OR IGNORE INTO stream_collections (collection, seq) VALUES (?, ?)')
+    const insertObject = this.db
+      .prepare('INSERT OR IGNORE INTO stream_objects (object_id, seq) VALUES (?, ?)')
+    ;[].concat(activity._meta?.collection ?? []).forEach(col => insertCollection.run(col, seq))
+    ;[].concat(activity.object ?? []).forEach(obj => {
+      const id = typeof obj === 'string' ? obj : obj?.id
+      if (id) {
+        insertObject.run(id, seq)
+      }
+    })
+    const insertActor = this.db
+      .prepare('INSERT OR IGNORE INTO stream_actors (actor_id, seq) VALUES (?, ?)')
+    // only actor references match, as for findActivityByCollectionAndActorId in other stores
+    ;[].concat(activity.actor ?? [])
+      .filter(actor => typeof actor === 'string')
+      .forEach(actor => insertActor.run(actor, seq))
+  }
+
+  // for denormalized storage model, must update all activities with copy of updated object
+  async updateObjectCopies (object) {
+    this.db.transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT s.seq, s.doc FROM stream_objects o
+        JOIN streams s ON s.seq = o.seq
+        WHERE o.object_id = ?
+      `).all(object.id)
+      const update = this.db.prepare('UPDATE streams SET doc = ? WHERE seq = ?')
+      rows.forEach(row => {
+        const activity = JSON.parse(row.doc)
+        if (!Array.isArray(activity.object)) return
+        activity.object = activity.object.map(obj => obj?.id === object.id ? object : obj)
+        update.run(JSON.stringify(activity), row.seq)
+      })
+      if (object._meta?.privateKey) {
+        // just in case actor keypairs are updated while deliveries are queued
+        this.db.prepare('UPDATE delivery_queue SET signing_key = ? WHERE actor_id = ?')
+          .run(object._meta.privateKey, object.id)
+      }
+    })()
+  }
+}
+
+// apply partial update: null values are removed, other values replaced
+function applyUpdate (target, update) {
+  const result = { ...target }
+  for (const [key, value] of Object.entries(update)) {
+    if (key === 'id') continue
+    if (value === null) {
+      delete result[key]
+    } else {
+      result[key] = value
+    }
+  }
+  return result
+}
+
+module.exports = SqliteStore